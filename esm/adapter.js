@@ -1,16 +1,64 @@
-import {LRUCache} from './lru_cache';
-import {clone} from './util';
+import {LRUCache, estimateBytes} from './lru_cache';
+import {RequestDeduplicator} from './deduplicator';
+import {EventEmitter} from './events';
+import {RequestLimiter} from './limiter';
+import {abortable, buildURL, clone, sleep} from './util';
+import {AbortError, AdapterError, AdapterHTTPError, AdapterParseError, TimeoutError} from './errors';
 
-class BaseAdapter {
+/**
+ * Base class for all adapters. Emits events (via `on`) that describe how the cache is being used: `hit`, `miss`,
+ *  and `remove_on_reject` (a failed request was removed from the cache). Each event receives an object with the
+ *  cache `key`, the cache `metadata` for the request, and the `provider` name.
+ */
+class BaseAdapter extends EventEmitter {
     constructor(config = {}) {
+        super();
         this._config = config;
         const {
             // Cache control
             cache_enabled = true,
-            cache_size = 3,
+            // Optionally, limit the cache by the total size of its entries (as measured by `cache_sizer`, which
+            //  estimates bytes by default). In this mode, the number of entries is not limited unless `cache_size` is given.
+            cache_max_weight = null,
+            cache_sizer = estimateBytes,
+            cache_size = cache_max_weight === null ? 3 : Infinity,
+            // Use a specific cache instance instead of creating one (eg persistent storage, or a cache shared by several
+            //  adapters). Any object with the same methods as LRUCache will work; methods may return promises.
+            cache = null,
+            // How long (in ms) cached data remains fresh. Individual entries can override this via `_cache_meta.ttl`.
+            cache_ttl = null,
+            // Respond to requests for expired data immediately (using the stale value), and refresh the cache in the background
+            stale_while_revalidate = false,
+            // Identical requests made at the same time will share one response, even if the cache is disabled
+            dedupe_enabled = true,
+            // Limit how many requests are made at once, and how often. Either a limiter (`RequestLimiter`, or
+            //  `HostLimiter` for separate limits per server), which may be shared by several adapters, or options for
+            //  a new `RequestLimiter` used only by this adapter (eg `{max_concurrent: 2}`)
+            limiter = null,
         } = config;
         this._enable_cache = cache_enabled;
-        this._cache = new LRUCache(cache_size);
+        this._cache = cache || new LRUCache(cache_size, {max_weight: cache_max_weight, sizer: cache_sizer});
+        this._cache_ttl = cache_ttl;
+        this._stale_while_revalidate = stale_while_revalidate;
+        this._enable_dedupe = dedupe_enabled;
+        this._dedupe = new RequestDeduplicator();
+        this._limiter = (limiter && typeof limiter.run !== 'function') ? new RequestLimiter(limiter) : limiter;
+        this._counts = {hits: 0, misses: 0, removed_on_reject: 0};
+    }
+
+    /**
+     * A snapshot of how well caching is working for this adapter, for diagnostics and tuning
+     * @returns {Object}
+     */
+    stats() {
+        const {hits, misses} = this._counts;
+        return Object.assign({}, this._counts, {
+            hit_ratio: (hits + misses) ? hits / (hits + misses) : 0,
+            // Some custom caches may not be able to report anything
+            cache: typeof this._cache.stats === 'function' ? this._cache.stats() : null,
+            dedupe: {hits: this._dedupe.hits, misses: this._dedupe.misses, pending: this._dedupe.size},
+            limiter: this._limiter ? this._limiter.stats() : null,
+        });
     }
 
     _buildRequestOptions(options, dependent_data) {
@@ -29,7 +77,8 @@ class BaseAdapter {
     }
 
     /**
-     * Perform the act of data retrieval (eg from a URL, blob, or JSON entity)
+     * Perform the act of data retrieval (eg from a URL, blob, or JSON entity). If the request can be cancelled,
+     *  an AbortSignal will be provided as `options._signal`; adapters should pass it to whatever does the work.
      * @param options
      * @returns {Promise}
      * @private
@@ -39,6 +88,32 @@ class BaseAdapter {
         throw new Error('Not implemented');
     }
 
+    /**
+     * Identify which limit applies to a request, when the adapter uses a limiter with separate limits for each
+     *  server (`HostLimiter`)
+     * @param {Object} options
+     * @returns {String|null}
+     * @private
+     */
+    _getLimiterKey(options) {
+        return null;
+    }
+
+    /**
+     * Perform a task (usually `_performRequest`) once the adapter's limiter (if any) allows it. Requests that are
+     *  cancelled while waiting will never start.
+     * @param {function(): Promise} callback
+     * @param {Object} options
+     * @returns {Promise}
+     * @private
+     */
+    _runLimited(callback, options) {
+        if (!this._limiter) {
+            return callback();
+        }
+        return this._limiter.run(callback, options._signal, this._getLimiterKey(options));
+    }
+
     _normalizeResponse(response_text, options) {
         // Convert the response format into a list of objects, one per datapoint. Eg split lines of a text file, or parse a blob of json.
         return response_text;
@@ -68,36 +143,208 @@ class BaseAdapter {
         return records;
     }
 
+    /**
+     * Perform a new request, and store the (promise for the) result in cache
+     * @param cache_key
+     * @param {Object} options
+     * @param {AbortSignal} [signal]
+     * @param {Boolean} [background=false] Whether this is a background refresh of stale data. If so, the stale entry
+     *  is kept until fresh data arrives (and if the refresh fails, the stale entry is kept)
+     * @param {String} [provider] The name of the provider that made the request, used to label events
+     * @returns {Promise}
+     * @private
+     */
+    _requestAndCache(cache_key, options, signal, background = false, provider = options._provider_name) {
+        // Cache the promise (to avoid race conditions in conditional fetch). If anything (like `_getCacheKey`)
+        //  sets a special option value called `_cache_meta`, this will be used to annotate the cache entry
+        // For example, this can be used to decide whether zooming into a view could be satisfied by a cache entry,
+        //  even if the actual cache key wasn't an exact match
+        const perform = (request_signal) => {
+            const request_options = Object.assign({}, options, {_signal: request_signal});
+            return Promise.resolve(this._runLimited(() => this._performRequest(request_options), request_options))
+                // Note: we cache the normalized (parsed) response
+                .then((text) => this._normalizeResponse(text, options));
+        };
+
+        // The promise that is cached may be shared with later callers, so it must not be tied to this caller's signal.
+        //  (each caller can still stop waiting: see `getData`)
+        let result;
+        if (this._enable_dedupe && cache_key != null) {
+            // The shared request is only cancelled if every caller waiting for it gives up, including callers who
+            //  found it in the cache
+            result = this._dedupe.run(cache_key, perform, signal);
+        } else if (this._enable_cache) {
+            // Without de-duplication, nothing keeps track of who else is waiting, so a cached request is never cancelled
+            result = perform(null);
+        } else {
+            result = abortable(perform(signal), signal);
+        }
+
+        if (!this._enable_cache) {
+            return result;
+        }
+        // Entries expire according to the adapter-wide TTL, unless the cache metadata says otherwise
+        const metadata = this._cache_ttl === null ? options._cache_meta : Object.assign({ttl: this._cache_ttl}, options._cache_meta);
+        // Asynchronous caches (eg persistent storage) may fail to store data, eg because the storage is full. That
+        //  doesn't affect the data returned, so the failure is ignored.
+        const ignoreFailure = (cache_result) => Promise.resolve(cache_result).catch(() => null);
+        if (background) {
+            result.then((data) => ignoreFailure(this._cache.add(cache_key, Promise.resolve(data), metadata)), () => null);
+        } else {
+            ignoreFailure(this._cache.add(cache_key, result, metadata));
+            // We are caching a promise, which means we want to *un*cache a promise that rejects, eg a failed or interrupted request
+            //  Otherwise, temporary failures couldn't be resolved by trying again in a moment
+            result.catch((error) => {
+                ignoreFailure(this._cache.remove(cache_key));
+                this._counts.removed_on_reject += 1;
+                this._emit('remove_on_reject', {key: cache_key, metadata, provider, error});
+            });
+        }
+        return result;
+    }
+
     getData(options = {}, ...dependent_data) {
         // Public facing method to define, perform, and process the request
+        // An AbortSignal describes this request, not the data: hold on to it in case a custom `_buildRequestOptions`
+        //  returns a fresh options object
+        const {_signal: signal, _provider_name: provider, _on_batch: on_batch} = options;
         options = this._buildRequestOptions(options, ...dependent_data);
+        if (signal) {
+            options._signal = signal;
+            if (signal.aborted) {
+                return Promise.reject(new AbortError());
+            }
+        }
+        // Streaming adapters can report records in batches, as they arrive (before annotation). Each caller gets its
+        //  own copy of each batch.
+        let streamed = false;
+        if (on_batch) {
+            options._on_batch = (batch) => {
+                streamed = true;
+                on_batch(clone(batch));
+            };
+        }
 
         // Then retrieval and parse steps: parse + normalize response, annotate
         const cache_key = this._getCacheKey(options);
 
+        // Some caches (eg persistent storage) are asynchronous. If the cache is synchronous, check it right away: that
+        //  way, the promise for a new request is cached immediately, and an identical request made in the same tick
+        //  will find it.
+        // In stale-while-revalidate mode, expired entries still count as a hit, but trigger a refresh.
+        const lookup = {allow_stale: this._stale_while_revalidate};
+        const event = {key: cache_key, metadata: options._cache_meta, provider};
+        // Some caches can read an entry (value and staleness) all at once; otherwise, ask separately
+        const fromCache = (entry = null) => {
+            this._counts.hits += 1;
+            this._emit('hit', event);
+            if (this._stale_while_revalidate) {
+                Promise.resolve(entry ? entry.stale : this._cache.isStale(cache_key)).then((is_stale) => {
+                    if (is_stale) {
+                        // Nobody is waiting on the refresh, so it is not tied to this caller's signal, and it does
+                        //  not report batches to this caller (who has already received the stale data)
+                        const refresh_options = Object.assign({}, options);
+                        delete refresh_options._signal;
+                        delete refresh_options._on_batch;
+                        this._requestAndCache(cache_key, refresh_options, null, true).catch(() => null);
+                    }
+                });
+            }
+            if (this._enable_dedupe) {
+                // The cache may hold a request that is still in progress: this caller is now waiting for it too
+                this._dedupe.join(cache_key, signal);
+            }
+            return entry ? entry.value : this._cache.get(cache_key, lookup);
+        };
+
+        const fromRequest = () => {
+            if (this._enable_cache) {
+                this._counts.misses += 1;
+                this._emit('miss', event);
+            }
+            return this._requestAndCache(cache_key, options, signal, false, provider);
+        };
+
         let result;
-        if (this._enable_cache && this._cache.has(cache_key)) {
-            result = this._cache.get(cache_key);
+        if (this._enable_cache && typeof this._cache.getEntry === 'function') {
+            // Eg persistent storage, where each separate check would read (and parse) the entry again
+            result = Promise.resolve(this._cache.getEntry(cache_key, lookup))
+                .then((entry) => entry ? fromCache(entry) : fromRequest());
         } else {
-            // Cache the promise (to avoid race conditions in conditional fetch). If anything (like `_getCacheKey`)
-            //  sets a special option value called `_cache_meta`, this will be used to annotate the cache entry
-            // For example, this can be used to decide whether zooming into a view could be satisfied by a cache entry,
-            //  even if the actual cache key wasn't an exact match
-            result = Promise.resolve(this._performRequest(options))
-                // Note: we cache the normalized (parsed) response
-                .then((text) => this._normalizeResponse(text, options));
-            this._cache.add(cache_key, result, options._cache_meta);
-            // We are caching a promise, which means we want to *un*cache a promise that rejects, eg a failed or interrupted request
-            //  Otherwise, temporary failures couldn't be resolved by trying again in a moment
-            result.catch((e) => this._cache.remove(cache_key));
+            const is_cached = this._enable_cache && this._cache.has(cache_key, lookup);
+            if (is_cached && typeof is_cached.then === 'function') {
+                result = is_cached.then((hit) => hit ? fromCache() : fromRequest());
+            } else if (is_cached) {
+                result = fromCache();
+            } else {
+                result = fromRequest();
+            }
         }
 
-        return result
-            // Return a deep clone of the data, so that there are no shared mutable references to a parsed object in cache
-            .then((data) => clone(data))
+        // A cache hit may be shared with a request that is still pending; make sure this caller can stop waiting for it
+        return abortable(Promise.resolve(result), signal)
+            .then((data) => {
+                // Data from cache (or from a request shared with another caller) arrives all at once
+                if (on_batch && !streamed) {
+                    on_batch(clone(data));
+                }
+                // Return a deep clone of the data, so that there are no shared mutable references to a parsed object in cache
+                return clone(data);
+            })
             .then((records) => this._annotateRecords(records, options))
             .then((records) => this._postProcessResponse(records, options));
     }
+
+    /**
+     * Retrieve data as an async iterator of batches of records, eg `for await (const batch of source.iterateBatches(options))`.
+     *  Batches contain records as parsed from the response (before annotation and post-processing). Adapters that
+     *  don't support streaming will provide all records in a single batch.
+     * @param {Object} [options]
+     * @param dependent_data
+     * @returns {AsyncIterator<Object[]>}
+     */
+    iterateBatches(options = {}, ...dependent_data) {
+        const queue = [];
+        let finished = false;
+        let failure = null;
+        let wake = null;
+        const notify = () => {
+            if (wake) {
+                wake();
+                wake = null;
+            }
+        };
+
+        const on_batch = (batch) => {
+            queue.push(batch);
+            notify();
+        };
+        this.getData(Object.assign({}, options, {_on_batch: on_batch}), ...dependent_data)
+            .then(
+                () => finished = true,
+                (e) => failure = e,
+            )
+            .then(notify);
+
+        const next = () => {
+            if (queue.length) {
+                return Promise.resolve({value: queue.shift(), done: false});
+            }
+            if (failure) {
+                return Promise.reject(failure);
+            }
+            if (finished) {
+                return Promise.resolve({value: undefined, done: true});
+            }
+            return new Promise((resolve) => wake = resolve).then(next);
+        };
+        return {
+            next,
+            [Symbol.asyncIterator]() {
+                return this;
+            },
+        };
+    }
 }
 
 
@@ -108,16 +355,345 @@ class BaseUrlAdapter extends BaseAdapter {
     constructor(config = {}) {
         super(config);
         this._url = config.url;
+        const {
+            // URL building. The URL may contain placeholders (eg `/api/{build}/region`), which are filled in with
+            //  (encoded) values from the request options. Query parameters can be given separately, as
+            //  {name: template}. See `buildURL` for details.
+            query_params = {},
+            // Calculate additional values for the URL, eg from the data that this request depends on. Receives the
+            //  request options, and the data for each dependency; returns an object of values.
+            url_values = null,
+            // Request options. `headers` and `body` may be functions that receive the request options. A body that is
+            //  a plain object or array will be sent as JSON. (eg for a GraphQL query: `{query, variables: {...}}`)
+            body = null,
+            method = body ? 'POST' : 'GET',
+            headers = {},
+            // Other options for `fetch`, eg `{credentials: 'include'}`
+            fetch_options = {},
+            // Use a specific `fetch` implementation (eg for Node, or for tests). By default, uses the global `fetch`.
+            fetch: fetch_impl = null,
+            // Retry control. Requests that fail due to network errors, timeouts, or certain (temporary) HTTP status
+            //  codes can be tried again, after waiting a bit longer each time. By default, no retries are made.
+            max_attempts = 1,
+            retry_delay = 500,
+            retry_max_delay = 10000,
+            retry_jitter = true,
+            retry_statuses = [408, 429, 500, 502, 503, 504],
+            // Maximum time (in ms) to wait for each attempt, including reading the response body
+            timeout = null,
+            // Parse large responses line by line as they arrive, instead of waiting for the entire body. Supported
+            //  formats are 'ndjson' (one JSON object per line) and 'delimited' (a header row, then one record per
+            //  line). Callers can receive records in batches via the special option `_on_batch`, or `iterateBatches`.
+            stream_format = null,
+            delimiter = '\t',
+            batch_size = 1000,
+        } = config;
+        this._query_params = query_params;
+        this._url_values = url_values;
+        this._body = body;
+        this._method = method.toUpperCase();
+        this._headers = headers;
+        this._fetch_options = fetch_options;
+        this._fetch = fetch_impl;
+        this._max_attempts = max_attempts;
+        this._retry_delay = retry_delay;
+        this._retry_max_delay = retry_max_delay;
+        this._retry_jitter = retry_jitter;
+        this._retry_statuses = retry_statuses;
+        this._timeout = timeout;
+        this._stream_format = stream_format;
+        this._delimiter = delimiter;
+        this._batch_size = batch_size;
+
+        if (!(max_attempts >= 1)) {
+            throw new Error('Option "max_attempts" must be >= 1');
+        }
+        if (stream_format !== null && !['ndjson', 'delimited'].includes(stream_format)) {
+            throw new Error(`Unknown stream format: ${stream_format}`);
+        }
     }
 
 
-    // Default cache key is the URL for the request.
+    _buildRequestOptions(options, ...dependent_data) {
+        const result = super._buildRequestOptions(options, ...dependent_data);
+        if (this._url_values) {
+            Object.assign(result, this._url_values(result, ...dependent_data));
+        }
+        return result;
+    }
+
+    // Default cache key is the URL for the request. Requests that send data must also include it in the key, so that
+    //  different queries to the same URL are cached separately.
     _getCacheKey(options) {
-        return this._getURL(options);
+        const url = this._getURL(options);
+        const {method, body} = this._getRequestInit(options);
+        if (method === 'GET' && (body === null || body === undefined)) {
+            return url;
+        }
+        return `${method} ${url} ${body === null || body === undefined ? '' : body}`;
     }
 
+    // Requests to each server can be limited separately
+    _getLimiterKey(options) {
+        const url = this._getURL(options);
+        try {
+            return new URL(url).host;
+        } catch (e) {
+            // Relative URLs are all sent to the same server as the page
+            return '';
+        }
+    }
+
+    /**
+     * Build the options for `fetch` (method, headers, body, etc). Bodies that are not strings, plain objects, or
+     *  `URLSearchParams` (eg `FormData`) can't be used in a cache key: adapters that send them should override
+     *  `_getCacheKey`.
+     * @param {Object} options
+     * @returns {Object}
+     * @private
+     */
+    _getRequestInit(options) {
+        const headers = Object.assign(
+            {},
+            typeof this._headers === 'function' ? this._headers(options) : this._headers,
+        );
+        let body = typeof this._body === 'function' ? this._body(options) : this._body;
+        const is_json = body !== null && typeof body === 'object'
+            && (Array.isArray(body) || Object.getPrototypeOf(body) === Object.prototype);
+        if (is_json) {
+            body = JSON.stringify(body);
+            if (!Object.keys(headers).some((name) => name.toLowerCase() === 'content-type')) {
+                headers['Content-Type'] = 'application/json';
+            }
+        }
+        return Object.assign({}, this._fetch_options, {method: this._method, headers, body});
+    }
+
+    /**
+     * Build the URL for a request, by filling in the URL template (if any) and query parameters
+     * @param {Object} options
+     * @returns {String}
+     * @private
+     */
     _getURL(options) {
-        return this._url;
+        if (!this._url) {
+            return this._url;
+        }
+        return buildURL(this._url, options, this._query_params);
+    }
+
+    /**
+     * How long to wait before the next attempt. The server's `Retry-After` header takes precedence; otherwise
+     *  use exponential backoff, with optional jitter so that many clients don't all retry at the same moment.
+     * @param {Number} attempt_number The attempt that just failed (starting from 1)
+     * @param {Response} [response] The failed response, if the server sent one
+     * @returns {Number} Delay in ms
+     * @private
+     */
+    _getRetryDelay(attempt_number, response) {
+        const retry_after = response && response.headers && response.headers.get('Retry-After');
+        if (retry_after) {
+            // May be given as either a number of seconds, or an HTTP date
+            const seconds = Number(retry_after);
+            const delay = Number.isNaN(seconds) ? Date.parse(retry_after) - Date.now() : seconds * 1000;
+            if (!Number.isNaN(delay)) {
+                return Math.max(delay, 0);
+            }
+        }
+        const delay = Math.min(this._retry_delay * 2 ** (attempt_number - 1), this._retry_max_delay);
+        return this._retry_jitter ? (delay / 2) * (1 + Math.random()) : delay;
+    }
+
+    /**
+     * Parse one line of a streamed response into a record. Subclasses can override this to support other formats.
+     * @param {String} line
+     * @param {Object} state An object that persists for the entire response, eg to remember the header row
+     * @param {Object} options
+     * @returns {Object|null} The record, or null if this line does not represent a record
+     * @private
+     */
+    _parseLine(line, state, options) {
+        if (this._stream_format === 'ndjson') {
+            try {
+                return JSON.parse(line);
+            } catch (e) {
+                throw new AdapterParseError(
+                    `Unable to parse line as JSON: ${e.message}`,
+                    {provider: options._provider_name, url: this._getURL(options), body: line, cause: e},
+                );
+            }
+        }
+        const fields = line.split(this._delimiter);
+        if (!state.header) {
+            state.header = fields;
+            return null;
+        }
+        return state.header.reduce((acc, name, i) => {
+            acc[name] = fields[i];
+            return acc;
+        }, {});
+    }
+
+    /**
+     * Read and parse the response body incrementally, passing records to `options._on_batch` as they are parsed.
+     * @param {Response} response
+     * @param {Object} options
+     * @returns {Promise<Object[]>} All of the records in the response
+     * @private
+     */
+    _readStream(response, options) {
+        const records = [];
+        const state = {};
+        let batch = [];
+        const flush = () => {
+            if (batch.length && options._on_batch) {
+                options._on_batch(batch);
+            }
+            batch = [];
+        };
+        const handleLine = (line) => {
+            // Allow for Windows-style line endings, and ignore blank lines
+            line = line.replace(/\r$/, '');
+            if (!line) {
+                return;
+            }
+            const record = this._parseLine(line, state, options);
+            if (record !== null && record !== undefined) {
+                records.push(record);
+                batch.push(record);
+                if (batch.length >= this._batch_size) {
+                    flush();
+                }
+            }
+        };
+
+        if (!response.body || typeof response.body.getReader !== 'function') {
+            // Not every environment supports streams; fall back to parsing the whole response at once
+            return response.text().then((text) => {
+                text.split('\n').forEach(handleLine);
+                flush();
+                return records;
+            });
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        const pump = () => reader.read().then(({done, value}) => {
+            if (done) {
+                handleLine(buffer + decoder.decode());
+                flush();
+                return records;
+            }
+            // The last line in a chunk may be incomplete; keep it until the next chunk arrives
+            const lines = (buffer + decoder.decode(value, {stream: true})).split('\n');
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+            return pump();
+        });
+        return pump();
+    }
+
+    /**
+     * Perform a single attempt at the request, reading the response body before the timeout (if any) expires
+     * @param {String} url
+     * @param {AbortSignal} [signal]
+     * @param {function(Response): Promise} [readBody] How to read a successful response
+     * @param {Object} [init] Additional options for `fetch`, eg request headers
+     * @returns {Promise<{response: Response, body: *}>}
+     * @private
+     */
+    _fetchOnce(url, signal, readBody = (response) => response.text(), init = {}) {
+        // Each attempt gets its own controller, so that a timeout can stop one attempt without cancelling the rest.
+        //  (a request that can't be cancelled and has no timeout doesn't need one)
+        const controller = (signal || this._timeout) ? new AbortController() : null;
+        const cancel = () => controller.abort();
+        if (signal) {
+            signal.addEventListener('abort', cancel, {once: true});
+        }
+        let timer;
+        const timed_out = new Promise((resolve, reject) => {
+            if (this._timeout) {
+                timer = setTimeout(() => {
+                    controller.abort();
+                    reject(new TimeoutError(`Request to ${url} timed out after ${this._timeout} ms`));
+                }, this._timeout);
+            }
+        });
+
+        const fetch_impl = this._fetch || fetch;
+        const request = fetch_impl(url, controller ? Object.assign({}, init, {signal: controller.signal}) : init)
+            .then((response) => (response.ok ? readBody(response) : response.text()).then((body) => ({response, body})));
+        return Promise.race([request, timed_out])
+            .finally(() => {
+                clearTimeout(timer);
+                if (signal) {
+                    signal.removeEventListener('abort', cancel);
+                }
+            });
+    }
+
+    /**
+     * Fetch a URL, retrying temporary failures as configured. Rejects with an `AdapterHTTPError` if the final
+     *  attempt is not successful. Subclasses can use this to make additional requests (eg for part of a file).
+     * @param {String} url
+     * @param {Object} options Options for this request, including the special options `_signal` and `_provider_name`
+     * @param {Object} [request]
+     * @param {function(Response): Promise} [request.read_body] How to read a successful response
+     * @param {Object} [request.init] Options for `fetch` that differ from the adapter configuration. (headers are
+     *  added to the configured headers)
+     * @param {function(): Boolean} [request.can_retry] Checked before each retry, to allow a request to be retried
+     * @returns {Promise} The response body
+     * @private
+     */
+    _fetchWithRetries(url, options, {read_body, init = {}, can_retry = () => true} = {}) {
+        const signal = options._signal;
+        const base_init = this._getRequestInit(options);
+        init = Object.assign({}, base_init, init, {headers: Object.assign({}, base_init.headers, init.headers)});
+        const attempt = (attempt_number) => {
+            const retry = (response) => {
+                if (attempt_number >= this._max_attempts || (signal && signal.aborted) || !can_retry()) {
+                    return false;
+                }
+                const delay = this._getRetryDelay(attempt_number, response);
+                // If the server asks us to wait longer than we are willing to, then give up now
+                if (delay > this._retry_max_delay) {
+                    return false;
+                }
+                return sleep(delay, signal).then(() => attempt(attempt_number + 1));
+            };
+
+            return this._fetchOnce(url, signal, read_body, init).then(
+                (result) => {
+                    const {response} = result;
+                    if (!response.ok && this._retry_statuses.includes(response.status)) {
+                        return retry(response) || result;
+                    }
+                    return result;
+                },
+                (error) => {
+                    // Network errors and timeouts may be temporary. Cancellation is not, and neither are problems
+                    //  with the response itself (eg a body that can't be parsed): the same request gives the same result.
+                    const next = !(error instanceof AdapterError || error instanceof AbortError) && retry();
+                    if (!next) {
+                        throw error;
+                    }
+                    return next;
+                },
+            );
+        };
+
+        // Only the outcome of the final attempt is reported. (so a failed request is only removed from cache when we give up)
+        return attempt(1).then(({response, body}) => {
+            if (!response.ok) {
+                const {status, statusText} = response;
+                throw new AdapterHTTPError(
+                    `Request to ${url} failed with status ${status}${statusText ? ` (${statusText})` : ''}`,
+                    {provider: options._provider_name, url, status, status_text: statusText, body},
+                );
+            }
+            return body;
+        });
     }
 
     _performRequest(options) {
@@ -127,18 +703,39 @@ class BaseUrlAdapter extends BaseAdapter {
         if (!this._url) {
             throw new Error('Web based resources must specify a resource URL as option "url"');
         }
-        return fetch(url).then((response) => {
-            if (!response.ok) {
-                throw new Error(response.statusText);
-            }
-            // In most cases, we store the response as text so that the copy in cache is clean (no mutable references)
-            return response.text();
-        });
+
+        // In streaming mode, records may be shared with the caller before the response is complete. Once that has
+        //  happened, a retry would report the same records twice, so failures are final.
+        let streamed = false;
+        let read_body;
+        if (this._stream_format) {
+            const on_batch = options._on_batch;
+            const stream_options = Object.assign({}, options, {
+                _on_batch: (batch) => {
+                    streamed = true;
+                    if (on_batch) {
+                        on_batch(batch);
+                    }
+                },
+            });
+            read_body = (response) => this._readStream(response, stream_options);
+        }
+
+        // In most cases, we store the response as text so that the copy in cache is clean (no mutable references)
+        //  In streaming mode, the body has already been parsed into records.
+        return this._fetchWithRetries(url, options, {read_body, can_retry: () => !streamed});
     }
 
     _normalizeResponse(response_text, options) {
         if (typeof response_text === 'string') {
-            return JSON.parse(response_text);
+            try {
+                return JSON.parse(response_text);
+            } catch (e) {
+                throw new AdapterParseError(
+                    `Unable to parse response as JSON: ${e.message}`,
+                    {provider: options._provider_name, url: this._getURL(options), body: response_text, cause: e},
+                );
+            }
         }
         // Some custom usages will return an object directly; return a copy of the object
         return response_text;
@@ -0,0 +1,208 @@
+/**
+ * Combine many small lookups (eg annotations for one gene or variant at a time) into a few bulk requests.
+ */
+
+import {AbortError} from './errors';
+import {optionsKey} from './util';
+
+
+/**
+ * Add request batching to any adapter class. Calls to `getData` made at about the same time (by default, in the
+ *  same tick) are combined into one bulk request, which is performed by the base class. The bulk response is then
+ *  split up, so that each caller receives the data for its own key. Each item is cached separately, so only
+ *  items that are not already in the cache are requested.
+ *
+ * Each call to `getData` asks for one item, given by the option `key_option` (eg `{id: 'ENSG00000139618'}`). The bulk
+ *  request receives the same options, with a list of keys as `keys_option` (eg `{ids: [...]}`), which can be used to
+ *  build the URL or request body. Calls with different options (other than the key) are never combined.
+ *
+ * @example
+ * class GeneAnnotationAdapter extends BatchRequestMixin(BaseUrlAdapter) {}
+ * const source = new GeneAnnotationAdapter({
+ *     url: 'https://api.example/genes',
+ *     body: (options) => ({gene_ids: options.ids}),
+ *     key_field: 'gene_id',
+ * });
+ * source.getData({id: 'ENSG00000139618'});
+ *
+ * @param {function} BaseClass The adapter class to extend
+ * @returns {function} A new adapter class
+ */
+function BatchRequestMixin(BaseClass) {
+    return class extends BaseClass {
+        constructor(config = {}) {
+            super(config);
+            const {
+                // The option that identifies the item requested by each call
+                key_option = 'id',
+                // The option that lists every key in a bulk request
+                keys_option = 'ids',
+                // How to split the bulk response. If the response is an array of records, `key_field` says which
+                //  item each record belongs to, and each caller receives an array of matching records. Otherwise, the
+                //  response should be an object of {key: data}.
+                key_field = null,
+                max_batch_size = 100,
+                // How long (in ms) to wait for more calls before sending a bulk request
+                batch_delay = 0,
+            } = config;
+            this._key_option = key_option;
+            this._keys_option = keys_option;
+            this._key_field = key_field;
+            this._max_batch_size = max_batch_size;
+            this._batch_delay = batch_delay;
+            // Batches that are waiting to be sent, by group
+            this._batches = new Map();
+
+            if (!(max_batch_size >= 1)) {
+                throw new Error('Option "max_batch_size" must be >= 1');
+            }
+        }
+
+        /**
+         * Identify the options (other than the key) that determine what data is returned. Only calls with the same
+         *  group can share a bulk request.
+         * @param {Object} options
+         * @returns {String}
+         * @private
+         */
+        _getBatchGroup(options) {
+            return optionsKey(options, [this._key_option, this._keys_option]);
+        }
+
+        // Each item is cached separately
+        _getCacheKey(options) {
+            const key = options[this._key_option];
+            if (key === undefined || key === null) {
+                throw new Error(`Batched adapters require the option "${this._key_option}"`);
+            }
+            return `${this._getBatchGroup(options)} ${key}`;
+        }
+
+        /**
+         * Split the (normalized) bulk response into the data for each key
+         * @param data
+         * @param {Array} keys
+         * @param {Object} options The options for the bulk request
+         * @returns {Map}
+         * @private
+         */
+        _splitBatchResponse(data, keys, options) {
+            const result = new Map(keys.map((key) => [String(key), this._key_field ? [] : null]));
+            if (this._key_field) {
+                if (!Array.isArray(data)) {
+                    throw new Error('Bulk response must be an array of records when "key_field" is specified');
+                }
+                for (const record of data) {
+                    const items = result.get(String(record[this._key_field]));
+                    if (items) {
+                        items.push(record);
+                    }
+                }
+            } else {
+                for (const key of result.keys()) {
+                    if (data && data[key] !== undefined) {
+                        result.set(key, data[key]);
+                    }
+                }
+            }
+            return result;
+        }
+
+        // Wait for other calls to join the batch, then provide the data for just this key
+        _performRequest(options) {
+            const group = this._getBatchGroup(options);
+            return new Promise((resolve, reject) => {
+                let batch = this._batches.get(group);
+                if (!batch) {
+                    batch = {options, items: []};
+                    this._batches.set(group, batch);
+                    setTimeout(() => this._sendBatch(group, batch), this._batch_delay);
+                }
+
+                const signal = options._signal;
+                let on_abort = null;
+                // Stop listening for cancellation once this item has its data (or has failed)
+                const settle = (callback) => (value) => {
+                    if (on_abort) {
+                        signal.removeEventListener('abort', on_abort);
+                    }
+                    callback(value);
+                };
+                const item = {
+                    key: options[this._key_option],
+                    resolve: settle(resolve),
+                    reject: settle(reject),
+                    cancellable: !!signal,
+                    cancelled: false,
+                };
+                batch.items.push(item);
+                if (signal) {
+                    on_abort = () => {
+                        item.cancelled = true;
+                        // Whether or not the batch has been sent yet, this caller is no longer waiting for it
+                        item.reject(new AbortError());
+                        if (batch.controller && batch.items.every(({cancelled}) => cancelled)) {
+                            // Nobody is waiting for the bulk request any more
+                            batch.controller.abort();
+                        }
+                    };
+                    signal.addEventListener('abort', on_abort, {once: true});
+                }
+
+                if (batch.items.length >= this._max_batch_size) {
+                    this._sendBatch(group, batch);
+                }
+            });
+        }
+
+        /**
+         * Perform the bulk request for a batch, and give each caller its part of the response
+         * @private
+         */
+        _sendBatch(group, batch) {
+            if (this._batches.get(group) === batch) {
+                this._batches.delete(group);
+            }
+            if (batch.sent) {
+                // Already sent (eg because the batch was full)
+                return;
+            }
+            batch.sent = true;
+            // The bulk request can only be cancelled if every caller can cancel
+            batch.controller = batch.items.every(({cancellable}) => cancellable) ? new AbortController() : null;
+
+            const items = batch.items.filter(({cancelled}) => !cancelled);
+            if (!items.length) {
+                return;
+            }
+            const keys = [...new Set(items.map(({key}) => key))];
+            const options = Object.assign({}, batch.options, {
+                [this._keys_option]: keys,
+                _signal: batch.controller ? batch.controller.signal : null,
+            });
+            delete options[this._key_option];
+            delete options._on_batch;
+
+            Promise.resolve()
+                .then(() => super._runLimited(() => super._performRequest(options), options))
+                .then((response) => super._normalizeResponse(response, options))
+                .then((data) => this._splitBatchResponse(data, keys, options))
+                .then(
+                    (result) => items.forEach(({key, resolve}) => resolve(result.get(String(key)))),
+                    (error) => items.forEach(({reject}) => reject(error)),
+                );
+        }
+
+        // Calls for a single item don't make requests of their own: limits apply to the bulk request instead
+        _runLimited(callback, options) {
+            return callback();
+        }
+
+        // The bulk response was already normalized, before it was split up
+        _normalizeResponse(data, options) {
+            return data;
+        }
+    };
+}
+
+export { BatchRequestMixin };
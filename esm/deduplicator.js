@@ -0,0 +1,96 @@
+/**
+ * Share one request between several callers that ask for the same thing at the same time
+ */
+import {abortable} from './util';
+
+class RequestDeduplicator {
+    constructor() {
+        this._pending = new Map();
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    /**
+     * The number of distinct requests that are currently in progress
+     * @returns {number}
+     */
+    get size() {
+        return this._pending.size;
+    }
+
+    has(key) {
+        return this._pending.has(key);
+    }
+
+    /**
+     * Perform a request, or join an identical request that is already in progress. The shared request is only
+     *  cancelled once *every* caller waiting on it has been cancelled; until then, one caller giving up won't
+     *  affect the others.
+     * @param key Identifies the request. Requests with the same key are assumed to return the same result.
+     * @param {function(AbortSignal): Promise} callback Performs the request. Receives a signal that is aborted when
+     *  nobody is waiting for the result any more (or null, if the request can never be cancelled).
+     * @param {AbortSignal} [signal] Allows this caller to stop waiting
+     * @returns {Promise}
+     */
+    run(key, callback, signal) {
+        let entry = this._pending.get(key);
+        if (entry) {
+            this.hits += 1;
+        } else {
+            this.misses += 1;
+            // A request can only be cancelled if every caller can cancel. If the first caller can't, there is no need
+            //  for a controller (which also means that runtimes without AbortController are fine, until a caller
+            //  passes a signal)
+            const controller = signal ? new AbortController() : null;
+            const request_signal = controller ? controller.signal : null;
+            const promise = abortable(Promise.resolve(callback(request_signal)), request_signal);
+            entry = {controller, promise, waiting: 0};
+            this._pending.set(key, entry);
+            const done = () => {
+                if (this._pending.get(key) === entry) {
+                    this._pending.delete(key);
+                }
+            };
+            entry.promise.then(done, done);
+        }
+
+        this._addWaiter(entry, signal);
+        return entry.promise;
+    }
+
+    /**
+     * Wait for a request that is already in progress, if there is one (eg a pending request that was found in the
+     *  cache). As with `run`, this caller counts towards whether the request can be cancelled.
+     * @param key
+     * @param {AbortSignal} [signal]
+     * @returns {Promise|null} The shared request, or null if there is no such request in progress
+     */
+    join(key, signal) {
+        const entry = this._pending.get(key);
+        if (!entry) {
+            return null;
+        }
+        this._addWaiter(entry, signal);
+        return entry.promise;
+    }
+
+    _addWaiter(entry, signal) {
+        // A caller who cannot cancel will always be waiting
+        entry.waiting += 1;
+        if (signal) {
+            const on_abort = () => {
+                entry.waiting -= 1;
+                if (!entry.waiting && entry.controller) {
+                    entry.controller.abort();
+                }
+            };
+            signal.addEventListener('abort', on_abort, {once: true});
+            // Once the request is finished, there is nothing left to cancel. (a signal may be used for many requests,
+            //  and should not keep their results in memory)
+            const cleanup = () => signal.removeEventListener('abort', on_abort);
+            entry.promise.then(cleanup, cleanup);
+        }
+    }
+}
+
+export { RequestDeduplicator };
@@ -0,0 +1,255 @@
+/**
+ * Read delimited text files (eg CSV or tab-delimited) into the usual array-of-objects format
+ */
+import {BaseUrlAdapter} from './adapter';
+import {AdapterParseError} from './errors';
+
+
+/**
+ * Split one line of delimited text into fields. Fields may be quoted (eg so that they can contain the delimiter);
+ *  a quote character inside a quoted field is written twice.
+ * @param {String} line
+ * @param {String} [delimiter='\t']
+ * @param {String|null} [quote='"'] The quote character, or null to disable quoting
+ * @returns {String[]}
+ */
+function splitDelimited(line, delimiter = '\t', quote = '"') {
+    if (!quote || !line.includes(quote)) {
+        return line.split(delimiter);
+    }
+
+    const fields = [];
+    let current = '';
+    let in_quotes = false;
+    let i = 0;
+    while (i < line.length) {
+        if (in_quotes) {
+            if (line.startsWith(quote, i)) {
+                if (line.startsWith(quote, i + quote.length)) {
+                    // Escaped quote
+                    current += quote;
+                    i += quote.length * 2;
+                    continue;
+                }
+                in_quotes = false;
+                i += quote.length;
+                continue;
+            }
+            current += line[i];
+            i += 1;
+        } else if (line.startsWith(quote, i) && !current) {
+            in_quotes = true;
+            i += quote.length;
+        } else if (line.startsWith(delimiter, i)) {
+            fields.push(current);
+            current = '';
+            i += delimiter.length;
+        } else {
+            current += line[i];
+            i += 1;
+        }
+    }
+    if (in_quotes) {
+        throw new Error('Unterminated quoted field');
+    }
+    fields.push(current);
+    return fields;
+}
+
+const BOOLEAN_VALUES = {
+    'true': true, 't': true, 'yes': true, '1': true,
+    'false': false, 'f': false, 'no': false, '0': false,
+};
+
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+/**
+ * Convert a text value to the specified type
+ * @param {String} value
+ * @param {String|function} type One of 'string', 'number', 'int', 'boolean', or a function that converts the value
+ * @returns {*}
+ */
+function coerceValue(value, type) {
+    if (typeof type === 'function') {
+        return type(value);
+    }
+    switch (type) {
+    case 'string':
+        return value;
+    case 'number': {
+        const result = Number(value);
+        if (!value.trim() || Number.isNaN(result)) {
+            throw new Error(`Expected a number, but found "${value}"`);
+        }
+        return result;
+    }
+    case 'int': {
+        if (!/^\s*[-+]?\d+\s*$/.test(value)) {
+            throw new Error(`Expected an integer, but found "${value}"`);
+        }
+        return Number.parseInt(value, 10);
+    }
+    case 'boolean': {
+        const result = BOOLEAN_VALUES[value.trim().toLowerCase()];
+        if (result === undefined) {
+            throw new Error(`Expected a boolean, but found "${value}"`);
+        }
+        return result;
+    }
+    default:
+        throw new Error(`Unknown column type: ${type}`);
+    }
+}
+
+/**
+ * Guess the type of a value: numbers and booleans are converted, and everything else is left as a string
+ * @param {String} value
+ * @returns {String|Number|Boolean}
+ */
+function inferValue(value) {
+    if (NUMBER_PATTERN.test(value)) {
+        return Number(value);
+    }
+    const lower = value.toLowerCase();
+    if (lower === 'true' || lower === 'false') {
+        return lower === 'true';
+    }
+    return value;
+}
+
+
+/**
+ * Add delimited text parsing to any adapter class whose requests return text (eg a file from a server, or a file
+ *  chosen by the user). Each row of the file is converted into an object.
+ *
+ * @example
+ * class UploadedFileAdapter extends DelimitedTextMixin(BlobAdapter) {}
+ * const source = new UploadedFileAdapter({blob: file, delimiter: ',', types: {pvalue: 'number'}});
+ *
+ * @param {function} BaseClass The adapter class to extend
+ * @returns {function} A new adapter class
+ */
+function DelimitedTextMixin(BaseClass) {
+    return class extends BaseClass {
+        constructor(config = {}) {
+            super(config);
+            const {
+                // Parsing
+                delimiter = '\t',
+                // Whether the first (non-comment) line lists column names. If not, names must be given as `columns`.
+                has_header = true,
+                columns = null,
+                comment_prefix = '#',
+                quote = '"',
+                // Values that represent missing data, in any column
+                null_values = ['', 'NA', '.'],
+                // Conversion
+                // Types for specific fields, by (renamed) field name: 'string', 'number', 'int', 'boolean', or a function
+                types = {},
+                // Guess the type of fields that are not listed in `types`. (by default, these are left as strings)
+                infer_types = false,
+                // Rename columns to standard field names, as {column_name: field_name}
+                field_map = {},
+            } = config;
+            this._delimiter = delimiter;
+            this._has_header = has_header;
+            this._columns = columns;
+            this._comment_prefix = comment_prefix;
+            this._quote = quote;
+            this._null_values = new Set(null_values);
+            this._types = types;
+            this._infer_types = infer_types;
+            this._field_map = field_map;
+
+            if (!has_header && !columns) {
+                throw new Error('Files without a header row must specify column names as option "columns"');
+            }
+            if (this._stream_format && this._stream_format !== 'delimited') {
+                throw new Error('Delimited text can only be streamed with the format "delimited"');
+            }
+        }
+
+        // Parse one line of the file into a record. This is used for both streamed and complete responses.
+        _parseLine(line, state, options) {
+            state.line_number = (state.line_number || 0) + 1;
+            if (this._comment_prefix && line.startsWith(this._comment_prefix)) {
+                return null;
+            }
+
+            const fail = (message, cause) => {
+                // Not every source of text has a URL
+                const url = this._getURL ? this._getURL(options) : undefined;
+                throw new AdapterParseError(
+                    `Unable to parse line ${state.line_number}: ${message}`,
+                    {provider: options._provider_name, url, body: line, cause},
+                );
+            };
+
+            let fields;
+            try {
+                fields = splitDelimited(line, this._delimiter, this._quote);
+            } catch (e) {
+                fail(e.message, e);
+            }
+
+            if (!state.names) {
+                const columns = this._has_header ? fields : this._columns;
+                state.names = columns.map((name) => this._field_map[name] || name);
+                if (this._has_header) {
+                    return null;
+                }
+            }
+
+            const names = state.names;
+            if (fields.length !== names.length) {
+                fail(`Expected ${names.length} fields, but found ${fields.length}`);
+            }
+
+            const record = {};
+            for (let i = 0; i < names.length; i++) {
+                const name = names[i];
+                const value = fields[i];
+                const type = this._types[name];
+                if (this._null_values.has(value)) {
+                    record[name] = null;
+                } else if (type) {
+                    try {
+                        record[name] = coerceValue(value, type);
+                    } catch (e) {
+                        fail(`field "${name}": ${e.message}`, e);
+                    }
+                } else {
+                    record[name] = this._infer_types ? inferValue(value) : value;
+                }
+            }
+            return record;
+        }
+
+        _normalizeResponse(response_text, options) {
+            if (typeof response_text !== 'string') {
+                // Streamed responses have already been parsed
+                return response_text;
+            }
+            const state = {};
+            const records = [];
+            for (let line of response_text.split('\n')) {
+                line = line.replace(/\r$/, '');
+                if (!line) {
+                    continue;
+                }
+                const record = this._parseLine(line, state, options);
+                if (record !== null) {
+                    records.push(record);
+                }
+            }
+            return records;
+        }
+    };
+}
+
+/**
+ * Retrieve a delimited text file (eg CSV or TSV) from a URL, and convert each row into an object
+ */
+class DelimitedTextAdapter extends DelimitedTextMixin(BaseUrlAdapter) {}
+
+export { DelimitedTextAdapter, DelimitedTextMixin, coerceValue, inferValue, splitDelimited };
@@ -0,0 +1,92 @@
+/**
+ * Error types that can be raised during data retrieval. Using distinct classes allows callers to decide how to
+ *  respond to a failure (eg "ignore this because the user has moved on") without parsing messages.
+ */
+
+/**
+ * Raised when a request is cancelled via an AbortSignal before it could complete.
+ */
+class AbortError extends Error {
+    constructor(message = 'The request was aborted') {
+        super(message);
+        this.name = 'AbortError';
+    }
+}
+
+/**
+ * Raised when a request takes longer than the configured timeout
+ */
+class TimeoutError extends Error {
+    constructor(message = 'The request timed out') {
+        super(message);
+        this.name = 'TimeoutError';
+    }
+}
+
+/**
+ * Base class for problems retrieving or understanding data from a specific adapter
+ */
+class AdapterError extends Error {
+    /**
+     * @param {String} message
+     * @param {Object} [details]
+     * @param {String} [details.provider] The name of the provider that made the request (as used in `getLinkedData`)
+     * @param {String} [details.url] The URL of the request, if any
+     * @param {*} [details.body] The response payload, if any
+     * @param {Error} [details.cause] The underlying error, if any
+     */
+    constructor(message, {provider = null, url = null, body = null, cause = null} = {}) {
+        super(message);
+        this.name = 'AdapterError';
+        this.provider = provider;
+        this.url = url;
+        this.body = body;
+        this.cause = cause;
+    }
+}
+
+/**
+ * The server responded, but with an error status code. The status code and response body are provided, so that
+ *  the caller can tell (eg) "region too large" from "not found"
+ */
+class AdapterHTTPError extends AdapterError {
+    constructor(message, {status, status_text = '', ...details} = {}) {
+        super(message, details);
+        this.name = 'AdapterHTTPError';
+        this.status = status;
+        this.status_text = status_text;
+    }
+}
+
+/**
+ * The response was received, but could not be parsed into records
+ */
+class AdapterParseError extends AdapterError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'AdapterParseError';
+    }
+}
+
+/**
+ * Problems with the specification given to `getLinkedData`: syntax errors, circular dependencies, or references to
+ *  providers that don't exist
+ */
+class DependencyError extends Error {
+    /**
+     * @param {String} message
+     * @param {Object} [details]
+     * @param {String} [details.provider] The name of the provider that could not be used
+     * @param {String} [details.spec] The dependency specification that caused the problem
+     * @param {Number} [details.position] For syntax errors, where in the specification the problem was found
+     */
+    constructor(message, {provider = null, spec = null, position = null} = {}) {
+        super(message);
+        this.name = 'DependencyError';
+        this.provider = provider;
+        this.spec = spec;
+        this.position = position;
+    }
+}
+
+export { AbortError, TimeoutError, AdapterError, AdapterHTTPError, AdapterParseError, DependencyError };
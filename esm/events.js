@@ -0,0 +1,42 @@
+/**
+ * A minimal event emitter, so that callers can observe what happens inside caches and adapters (eg for telemetry)
+ */
+class EventEmitter {
+    constructor() {
+        this._listeners = new Map();
+    }
+
+    /**
+     * Listen for an event
+     * @param {String} name
+     * @param {function} callback Receives an object describing the event
+     * @returns {function} Call this to stop listening
+     */
+    on(name, callback) {
+        let listeners = this._listeners.get(name);
+        if (!listeners) {
+            listeners = [];
+            this._listeners.set(name, listeners);
+        }
+        listeners.push(callback);
+        return () => this.off(name, callback);
+    }
+
+    off(name, callback) {
+        const listeners = this._listeners.get(name) || [];
+        const index = listeners.indexOf(callback);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    _emit(name, data) {
+        const listeners = this._listeners.get(name);
+        if (listeners) {
+            // Copy the list, in case a listener stops listening while the event is being handled
+            listeners.slice().forEach((callback) => callback(data));
+        }
+    }
+}
+
+export { EventEmitter };
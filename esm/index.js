@@ -1,5 +1,22 @@
 export { BaseAdapter, BaseUrlAdapter } from './adapter';
-export {LRUCache} from './lru_cache';
+export {BatchRequestMixin} from './batch';
+export {DelimitedTextAdapter, DelimitedTextMixin} from './delimited';
+export {BlobAdapter, StaticAdapter} from './local';
+export {
+    AbortError,
+    AdapterError,
+    AdapterHTTPError,
+    AdapterParseError,
+    DependencyError,
+    TimeoutError,
+} from './errors';
+export {JsonApiAdapter} from './json_api';
+export {HostLimiter, RequestLimiter} from './limiter';
+export {LRUCache, countRecords, estimateBytes} from './lru_cache';
+export {MemoryStorage, PersistentCache} from './persistent_cache';
+export {RequestDeduplicator} from './deduplicator';
+export {RegionAdapterMixin} from './region';
+export {TabixAdapter} from './tabix';
 export {getLinkedData} from './requests';
 
 import * as joins from './joins';
@@ -4,17 +4,44 @@
 import { clone } from './util';
 
 
+// Ways to combine two records that have fields with the same name (see `_any_match`)
+const COLLISION_MODES = ['left', 'right', 'prefix', 'suffix', 'error'];
+
+// A join key can be one field, or several fields that must all match (a composite key, eg chrom+pos+ref+alt)
+function _key_fields(key) {
+    return Array.isArray(key) ? key : [key];
+}
+
+// A missing key is always `undefined`, whether the fields are missing or null. Like NULL in SQL, it never matches.
+function _key_value(item, fields) {
+    const values = fields.map((field) => item[field]);
+    if (values.some((value) => value === undefined || value === null)) {
+        return undefined;
+    }
+    // Composite keys are compared as strings. (JSON keeps 1 and "1" distinct, as they would be for a single field)
+    return fields.length === 1 ? values[0] : JSON.stringify(values);
+}
+
+/**
+ * Group records by the value of a field, or of several fields (a composite key). Records with a missing (null or
+ *  undefined) key are not part of any group.
+ * @param {Object[]} records
+ * @param {String|String[]} group_key
+ * @returns {Map}
+ */
 function groupBy(records, group_key) {
+    const fields = _key_fields(group_key);
     const result = new Map();
     for (let item of records) {
-        const item_group = item[group_key];
-
-        if (typeof item_group === 'undefined') {
-            throw new Error(`All records must specify a value for the field "${group_key}"`);
+        const item_group = _key_value(item, fields);
+        if (item_group === undefined) {
+            continue;
         }
-        if (typeof item_group === 'object') {
-            // If we can't group this item, then don't (exclude object, array, map, null, etc from grouping keys)
-            throw new Error('Attempted to group on a field with non-primitive values');
+        for (let field of fields) {
+            if (typeof item[field] === 'object') {
+                // If we can't group this item, then don't (exclude object, array, map, etc from grouping keys)
+                throw new Error('Attempted to group on a field with non-primitive values');
+            }
         }
 
         let group = result.get(item_group);
@@ -27,31 +54,112 @@ function groupBy(records, group_key) {
     return result;
 }
 
+/**
+ * Combine a record from each side of a join into one row. Either side may be missing (eg a left record with no
+ *  match on the right).
+ * @private
+ */
+function _merge(left_item, right_item, shared_fields, options) {
+    const {collisions, left_prefix, right_prefix, left_suffix, right_suffix, source_field} = options;
+    const left = left_item ? clone(left_item) : {};
+    const right = right_item ? clone(right_item) : {};
+
+    let result = {};
+    switch (collisions) {
+    case 'left':
+        result = Object.assign(result, right, left);
+        break;
+    case 'right':
+        result = Object.assign(result, left, right);
+        break;
+    case 'prefix':
+        // Every field is labeled with the side that it came from
+        Object.keys(left).forEach((field) => {
+            result[`${left_prefix}${field}`] = left[field];
+        });
+        Object.keys(right).forEach((field) => {
+            result[`${right_prefix}${field}`] = right[field];
+        });
+        break;
+    default: {
+        // Join keys with the same name on both sides have the same value, and are kept as one field
+        const collided = Object.keys(right).filter((field) => field in left && !shared_fields.includes(field));
+        if (collisions === 'error' && collided.length) {
+            throw new Error(`Both sides of the join have the field(s): ${collided.join(', ')}`);
+        }
+        Object.keys(left).forEach((field) => {
+            result[collided.includes(field) ? `${field}${left_suffix}` : field] = left[field];
+        });
+        Object.keys(right).forEach((field) => {
+            result[collided.includes(field) ? `${field}${right_suffix}` : field] = right[field];
+        });
+    }
+    }
+
+    if (source_field) {
+        result[source_field] = (left_item && right_item) ? 'both' : (left_item ? 'left' : 'right');
+    }
+    return result;
+}
+
+// Fill in defaults for the options that control how rows are combined (see `left_match`)
+function _join_options(options = {}) {
+    options = Object.assign({
+        collisions: 'left',
+        left_prefix: 'left:',
+        right_prefix: 'right:',
+        left_suffix: '_left',
+        right_suffix: '_right',
+        source_field: null,
+    }, options);
+    if (!COLLISION_MODES.includes(options.collisions)) {
+        throw new Error(`Option "collisions" must be one of: ${COLLISION_MODES.join(', ')}`);
+    }
+    return options;
+}
 
-function _any_match(type, left, right, left_key, right_key) {
+/**
+ * Find the right records that match each left record
+ * @returns {Object[][]} For each left record, an array of matching right records
+ * @private
+ */
+function _find_matches(left, right, left_fields, right_fields) {
+    if (left_fields.length !== right_fields.length) {
+        throw new Error('Both sides of the join must use the same number of key fields');
+    }
+    const right_index = groupBy(right, right_fields);
+    return left.map((item) => right_index.get(_key_value(item, left_fields)) || []);
+}
+
+function _any_match(type, left, right, left_key, right_key, options) {
     // Helper that consolidates logic for all three join types
-    const right_index = groupBy(right, right_key);
+    options = _join_options(options);
+
+    const left_fields = _key_fields(left_key);
+    const right_fields = _key_fields(right_key);
+    const shared_fields = left_fields.filter((field, i) => field === right_fields[i]);
+
+    const matches = _find_matches(left, right, left_fields, right_fields);
     const results = [];
-    for (let item of left) {
-        const left_match_value = item[left_key];
-        const right_matches = right_index.get(left_match_value) || [];
+    left.forEach((item, index) => {
+        const right_matches = matches[index];
         if (right_matches.length) {
             // Record appears on both left and right; equiv to an inner join
-            results.push(...right_matches.map((right_item) => Object.assign({}, clone(right_item), clone(item))));
+            results.push(...right_matches.map((right_item) => _merge(item, right_item, shared_fields, options)));
         } else if (type !== 'inner') {
             // Record appears on left but not right
-            results.push(clone(item));
+            results.push(_merge(item, null, shared_fields, options));
         }
-    }
+    });
 
     if (type === 'outer') {
         // Outer join part! We've already added all left-only and left-right matches; all that's left is the items that only appear on right side
-        const left_index = groupBy(left, left_key);
+        const left_index = groupBy(left, left_fields);
         for (let item of right) {
-            const right_match_value = item[right_key];
+            const right_match_value = _key_value(item, right_fields);
             const left_matches = left_index.get(right_match_value) || [];
             if (!left_matches.length) {
-                results.push(clone(item));
+                results.push(_merge(null, item, shared_fields, options));
             }
         }
     }
@@ -59,23 +167,260 @@ function _any_match(type, left, right, left_key, right_key) {
 }
 
 /**
- * Equivalent to LEFT OUTER JOIN in SQL.
- * @param left
- * @param right
- * @param left_key
- * @param right_key
+ * Equivalent to LEFT OUTER JOIN in SQL. As in SQL, a record with a missing (null or undefined) key never matches
+ *  anything, although outer joins still keep it.
+ *
+ * By default, when both records have a field with the same name, the value from the left record is kept. The
+ *  `collisions` option can change this:
+ *  - `'right'`: keep the value from the right record
+ *  - `'prefix'`: label every field with the side it came from, eg `assoc:pvalue` and `catalog:pvalue` (using the
+ *      options `left_prefix` and `right_prefix`)
+ *  - `'suffix'`: rename only the fields that appear on both sides, eg `pvalue_left` and `pvalue_right` (using the
+ *      options `left_suffix` and `right_suffix`)
+ *  - `'error'`: throw an error instead
+ *
+ * @param {Object[]} left
+ * @param {Object[]} right
+ * @param {String|String[]} left_key A field, or several fields that must all match (eg `['chrom', 'pos']`)
+ * @param {String|String[]} right_key
+ * @param {Object} [options]
+ * @param {String} [options.collisions='left'] How to handle fields that appear on both sides
+ * @param {String} [options.source_field=null] If given, each row records where it came from in this field:
+ *  `'left'`, `'right'`, or `'both'`
  * @returns {*[]}
  */
-function left_match(left, right, left_key, right_key) {
+function left_match(left, right, left_key, right_key, options) {
     return _any_match('left', ...arguments);
 }
 
-function inner_match(left, right, left_key, right_key) {
+function inner_match(left, right, left_key, right_key, options) {
     return _any_match('inner', ...arguments);
 }
 
-function full_outer_match(left, right, left_key, right_key) {
+function full_outer_match(left, right, left_key, right_key, options) {
     return _any_match('outer', ...arguments);
 }
 
-export {left_match, inner_match, full_outer_match, groupBy};
+/**
+ * Keep the left records that match at least one record on the right (each record once, without any fields from the
+ *  right side). Equivalent to `WHERE EXISTS` in SQL.
+ * @param {Object[]} left
+ * @param {Object[]} right
+ * @param {String|String[]} left_key
+ * @param {String|String[]} right_key
+ * @returns {Object[]}
+ */
+function semi_match(left, right, left_key, right_key) {
+    const matches = _find_matches(left, right, _key_fields(left_key), _key_fields(right_key));
+    return left.filter((item, index) => matches[index].length).map((item) => clone(item));
+}
+
+/**
+ * Keep the left records that do not match anything on the right, eg "variants with no catalog hit". Records with a
+ *  missing key never match, so they are always kept.
+ * @param {Object[]} left
+ * @param {Object[]} right
+ * @param {String|String[]} left_key
+ * @param {String|String[]} right_key
+ * @returns {Object[]}
+ */
+function anti_match(left, right, left_key, right_key) {
+    const matches = _find_matches(left, right, _key_fields(left_key), _key_fields(right_key));
+    return left.filter((item, index) => !matches[index].length).map((item) => clone(item));
+}
+
+/**
+ * Keep every left record once, with a summary of its matches on the right, rather than one row per match
+ * @param {Object[]} left
+ * @param {Object[]} right
+ * @param {String|String[]} left_key
+ * @param {String|String[]} right_key
+ * @param {Object} [options]
+ * @param {String} [options.nest_field='matches'] The field that holds the summary
+ * @param {String|function} [options.aggregate='list'] The summary: 'list' (an array of the matching records),
+ *  'count', or a function that receives the array of matching records and returns a value
+ * @returns {Object[]}
+ */
+function nest_match(left, right, left_key, right_key, options = {}) {
+    const {nest_field = 'matches', aggregate = 'list'} = options;
+    let summarize = aggregate;
+    if (aggregate === 'list') {
+        summarize = (matches) => matches.map((item) => clone(item));
+    } else if (aggregate === 'count') {
+        summarize = (matches) => matches.length;
+    } else if (typeof aggregate !== 'function') {
+        throw new Error('Option "aggregate" must be "list", "count", or a function');
+    }
+
+    const matches = _find_matches(left, right, _key_fields(left_key), _key_fields(right_key));
+    return left.map((item, index) => Object.assign(clone(item), {[nest_field]: summarize(matches[index])}));
+}
+
+// Interval keys name the fields for chromosome, start, and end. A point (eg a variant) has no separate end field.
+function _interval_fields(key) {
+    const fields = _key_fields(key);
+    if (fields.length < 2 || fields.length > 3) {
+        throw new Error('Interval joins must specify the fields for chromosome and position, or chromosome, start, and end (eg ["chrom", "start", "end"])');
+    }
+    const [chrom, start, end = start] = fields;
+    return [chrom, start, end];
+}
+
+/**
+ * Find the right records that overlap each left record. The intervals on each chromosome are sorted and swept from
+ *  start to end, keeping track of the intervals from each side that have started but not yet ended; this takes
+ *  O((n + m) log(n + m)) time, plus the number of matches.
+ * @returns {Number[][]} For each left record, the (sorted) positions of the right records that overlap it
+ * @private
+ */
+function _find_overlaps(left, right, left_fields, right_fields) {
+    const by_chrom = new Map();
+    const add = (records, [chrom_field, start_field, end_field], side) => {
+        records.forEach((item, index) => {
+            const chrom = item[chrom_field];
+            // Positions may have been parsed from text (eg '1500'); compare them as numbers
+            const [start, end] = [item[start_field], item[end_field]]
+                .map((value) => (value === undefined || value === null || value === '') ? NaN : Number(value));
+            if (chrom === undefined || chrom === null || Number.isNaN(start) || Number.isNaN(end)) {
+                // A record without a (numeric) position can't overlap anything
+                return;
+            }
+            let intervals = by_chrom.get(chrom);
+            if (!intervals) {
+                intervals = [];
+                by_chrom.set(chrom, intervals);
+            }
+            intervals.push({side, index, start, end});
+        });
+    };
+    add(left, left_fields, 0);
+    add(right, right_fields, 1);
+
+    const matches = left.map(() => []);
+    for (let intervals of by_chrom.values()) {
+        intervals.sort((a, b) => a.start - b.start);
+        const active = [[], []];
+        for (let interval of intervals) {
+            const other = 1 - interval.side;
+            // Every active interval on the other side started at or before this one. Those that have already ended
+            //  can't overlap anything that starts later, and all of the rest overlap this one.
+            active[other] = active[other].filter(({end}) => end >= interval.start);
+            for (let found of active[other]) {
+                if (interval.side === 0) {
+                    matches[interval.index].push(found.index);
+                } else {
+                    matches[found.index].push(interval.index);
+                }
+            }
+            active[interval.side].push(interval);
+        }
+    }
+    matches.forEach((indices) => indices.sort((a, b) => a - b));
+    return matches;
+}
+
+function _interval_any_match(type, left, right, left_key, right_key, options) {
+    options = _join_options(options);
+    const left_fields = _interval_fields(left_key);
+    const right_fields = _interval_fields(right_key);
+    // Matching records are on the same chromosome, so a chromosome field with the same name is kept as one field
+    const shared_fields = left_fields[0] === right_fields[0] ? [left_fields[0]] : [];
+
+    const matches = _find_overlaps(left, right, left_fields, right_fields);
+    const results = [];
+    left.forEach((item, index) => {
+        if (matches[index].length) {
+            results.push(...matches[index].map((right_index) => _merge(item, right[right_index], shared_fields, options)));
+        } else if (type !== 'inner') {
+            results.push(_merge(item, null, shared_fields, options));
+        }
+    });
+    return results;
+}
+
+/**
+ * Match records whose positions overlap, eg "which genes overlap each variant". Each side is described by the
+ *  fields for chromosome and position (`['chrom', 'pos']`), or chromosome, start, and end
+ *  (`['chrom', 'start', 'end']`). Positions are inclusive at both ends. Every record on the left is kept, along with
+ *  any overlapping records on the right (like `left_match`, and with the same options).
+ *
+ * @example
+ * interval_left_match(variants, genes, ['chrom', 'pos'], ['chrom', 'start', 'end']);
+ *
+ * @param {Object[]} left
+ * @param {Object[]} right
+ * @param {String[]} left_key
+ * @param {String[]} right_key
+ * @param {Object} [options]
+ * @returns {*[]}
+ */
+function interval_left_match(left, right, left_key, right_key, options) {
+    return _interval_any_match('left', ...arguments);
+}
+
+// Like `interval_left_match`, but only keeps records that overlap something on the right
+function interval_inner_match(left, right, left_key, right_key, options) {
+    return _interval_any_match('inner', ...arguments);
+}
+
+/**
+ * Join the results of two other requests, as a step in `getLinkedData`. The join receives the data from its two
+ *  dependencies (left, then right), and matches records using the options `on` (a field that both sides have),
+ *  or `left_on` and `right_on`. Composite keys are written with `+`, eg `on=chrom+pos+ref+alt`. A missing (null)
+ *  dependency, eg an optional dependency that failed, has no records.
+ *
+ * Other options (`collisions`, `source_field`, `aggregate`, etc) are passed to the join function. In a specification,
+ *  the default prefixes are the names of the dependencies, eg `assoc:pvalue` and `catalog:pvalue`, and nested matches
+ *  are stored in a field named after the right dependency.
+ *
+ * @example
+ * getLinkedData(options, entities, ['assoc', 'catalog', 'assoc_catalog=left_join(assoc, catalog; on=variant)']);
+ * getLinkedData(options, entities, ['assoc', 'genes', 'nearby=interval_left_join(assoc, genes; left_on=chrom+pos, right_on=chrom+start+end)']);
+ */
+class JoinProvider {
+    /**
+     * @param {function} join_function Eg `left_match`
+     */
+    constructor(join_function) {
+        this._join = join_function;
+    }
+
+    getData(options, left, right) {
+        const {on = null, left_on = on, right_on = on, collisions, source_field} = options;
+        const {left_prefix, right_prefix, left_suffix, right_suffix, nest_field, aggregate} = options;
+        const join_options = {
+            collisions, source_field, left_prefix, right_prefix, left_suffix, right_suffix, nest_field, aggregate,
+        };
+        // Options that were not given are left to the defaults of the join function
+        for (let key of Object.keys(join_options)) {
+            if (join_options[key] === undefined) {
+                delete join_options[key];
+            }
+        }
+        return this._join(left || [], right || [], this._parseKey(left_on), this._parseKey(right_on), join_options);
+    }
+
+    // Composite keys can be written as `chrom+pos`
+    _parseKey(key) {
+        return (typeof key === 'string' && key.includes('+')) ? key.split('+') : key;
+    }
+}
+
+// Joins that can be used in a `getLinkedData` specification, without being provided as an entity
+const JOIN_PROVIDERS = new Map([
+    ['left_join', new JoinProvider(left_match)],
+    ['inner_join', new JoinProvider(inner_match)],
+    ['full_outer_join', new JoinProvider(full_outer_match)],
+    ['interval_left_join', new JoinProvider(interval_left_match)],
+    ['interval_inner_join', new JoinProvider(interval_inner_match)],
+    ['semi_join', new JoinProvider(semi_match)],
+    ['anti_join', new JoinProvider(anti_match)],
+    ['nest_join', new JoinProvider(nest_match)],
+]);
+
+export {
+    left_match, inner_match, full_outer_match,
+    semi_match, anti_match, nest_match,
+    interval_left_match, interval_inner_match,
+    groupBy, JoinProvider, JOIN_PROVIDERS,
+};
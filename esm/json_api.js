@@ -0,0 +1,222 @@
+/**
+ * Retrieve records from JSON APIs, which often wrap the data (eg `{data: [...], meta: {...}}`), send it as columns
+ *  instead of rows, or split large results into several pages.
+ */
+import {BaseUrlAdapter} from './adapter';
+import {AdapterError, AdapterParseError} from './errors';
+
+
+/**
+ * Look up a value inside a nested object
+ * @param {Object} payload
+ * @param {String|String[]|function} path A dotted path (eg "data.results"), an array of keys, or a function that
+ *  receives the payload and returns the value
+ * @returns {*} The value, or undefined if the path does not exist
+ */
+function getPath(payload, path) {
+    if (typeof path === 'function') {
+        return path(payload);
+    }
+    const keys = Array.isArray(path) ? path : path.split('.');
+    return keys.reduce((acc, key) => (acc === null || acc === undefined) ? undefined : acc[key], payload);
+}
+
+/**
+ * Check whether a value is column-oriented data: an object in which every value is an array. (an empty object is
+ *  treated as data with no columns)
+ * @param data
+ * @returns {boolean}
+ */
+function isColumnar(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return false;
+    }
+    return Object.values(data).every((value) => Array.isArray(value));
+}
+
+/**
+ * Convert column-oriented data (`{id: [1, 2], pvalue: [0.5, 0.1]}`) into an array of records
+ *  (`[{id: 1, pvalue: 0.5}, {id: 2, pvalue: 0.1}]`). Every column must have the same length.
+ * @param {Object} columns
+ * @returns {Object[]}
+ */
+function columnsToRows(columns) {
+    const names = Object.keys(columns);
+    if (!names.length) {
+        return [];
+    }
+    const lengths = names.map((name) => columns[name].length);
+    if (lengths.some((length) => length !== lengths[0])) {
+        const description = names.map((name, i) => `${name}: ${lengths[i]}`).join(', ');
+        throw new Error(`All columns must have the same length (${description})`);
+    }
+    const records = [];
+    for (let i = 0; i < lengths[0]; i++) {
+        const record = {};
+        for (const name of names) {
+            record[name] = columns[name][i];
+        }
+        records.push(record);
+    }
+    return records;
+}
+
+
+/**
+ * Retrieve records from a JSON API. The records can be found at a specific location in the response, converted from
+ *  columns to rows, and gathered from several pages of results.
+ *
+ * @example
+ * // {data: {id: [...], pvalue: [...]}, meta: {next: "/api/results?page=2"}}
+ * const source = new JsonApiAdapter({url: '/api/results', data_path: 'data', next_path: 'meta.next'});
+ */
+class JsonApiAdapter extends BaseUrlAdapter {
+    constructor(config = {}) {
+        super(config);
+        const {
+            // Where to find the data in the response (see `getPath`). By default, the entire response is used.
+            data_path = null,
+            // Whether to convert column-oriented data into records. By default ('auto'), data is converted if it is an
+            //  object in which every value is an array.
+            columnar = 'auto',
+            // Pagination. If the response includes a link to the next page (at `next_path`), or a cursor (at
+            //  `cursor_path`, sent as the query parameter `cursor_param`), pages are requested until there are none left.
+            //  Records from all pages are combined (and cached) as a single response.
+            next_path = null,
+            cursor_path = null,
+            cursor_param = 'cursor',
+            // Stop with an error if there are more pages than this, rather than making requests forever
+            max_pages = 100,
+        } = config;
+        this._data_path = data_path;
+        this._columnar = columnar;
+        this._next_path = next_path;
+        this._cursor_path = cursor_path;
+        this._cursor_param = cursor_param;
+        this._max_pages = max_pages;
+
+        if (![true, false, 'auto'].includes(columnar)) {
+            throw new Error('Option "columnar" must be true, false, or "auto"');
+        }
+        if (next_path && cursor_path) {
+            throw new Error('Specify only one of the options "next_path" or "cursor_path"');
+        }
+        if (this._stream_format) {
+            throw new Error('JSON API responses do not support streaming');
+        }
+    }
+
+    /**
+     * Find the records in one page of the response
+     * @param payload The parsed response
+     * @param {Object} options
+     * @param {String} url
+     * @returns {Object[]|Object}
+     * @private
+     */
+    _extractRecords(payload, options, url) {
+        const fail = (message, cause) => {
+            throw new AdapterParseError(message, {provider: options._provider_name, url, body: payload, cause});
+        };
+        let data = payload;
+        if (this._data_path) {
+            data = getPath(payload, this._data_path);
+            if (data === undefined) {
+                fail(`Response does not contain data at "${this._data_path}"`);
+            }
+        }
+        const is_columnar = isColumnar(data);
+        if (this._columnar === true && !is_columnar) {
+            fail('Expected column-oriented data (an object of arrays)');
+        }
+        if (this._columnar !== false && is_columnar) {
+            try {
+                data = columnsToRows(data);
+            } catch (e) {
+                fail(`Unable to convert columns to records: ${e.message}`, e);
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Find the URL of the next page of results, if any
+     * @param payload The parsed response
+     * @param {String} url The URL of the current page
+     * @param {Object} options
+     * @returns {String|null}
+     * @private
+     */
+    _getNextURL(payload, url, options) {
+        if (this._next_path) {
+            const next = getPath(payload, this._next_path);
+            if (!next) {
+                return null;
+            }
+            // Links may be relative to the current page
+            try {
+                return new URL(next, url).href;
+            } catch (e) {
+                return next;
+            }
+        }
+        if (this._cursor_path) {
+            const cursor = getPath(payload, this._cursor_path);
+            if (cursor === null || cursor === undefined || cursor === '') {
+                return null;
+            }
+            // The cursor is always added to the original URL, replacing the cursor for the previous page (if any)
+            const base = this._getURL(options);
+            const param = `${encodeURIComponent(this._cursor_param)}=${encodeURIComponent(cursor)}`;
+            return `${base}${base.includes('?') ? '&' : '?'}${param}`;
+        }
+        return null;
+    }
+
+    _performRequest(options) {
+        const url = this._getURL(options);
+        if (!this._url) {
+            throw new Error('Web based resources must specify a resource URL as option "url"');
+        }
+
+        const records = [];
+        const fetchPage = (page_url, page_number) => this._fetchWithRetries(page_url, options)
+            .then((text) => {
+                let payload;
+                try {
+                    payload = JSON.parse(text);
+                } catch (e) {
+                    throw new AdapterParseError(
+                        `Unable to parse response as JSON: ${e.message}`,
+                        {provider: options._provider_name, url: page_url, body: text, cause: e},
+                    );
+                }
+                const data = this._extractRecords(payload, options, page_url);
+                const next_url = this._getNextURL(payload, page_url, options);
+                if (!next_url && page_number === 1) {
+                    // A response with only one page can contain any kind of data
+                    return data;
+                }
+                if (!Array.isArray(data)) {
+                    throw new AdapterParseError(
+                        'Each page of results must contain an array of records',
+                        {provider: options._provider_name, url: page_url, body: payload},
+                    );
+                }
+                records.push(...data);
+                if (!next_url) {
+                    return records;
+                }
+                if (page_number >= this._max_pages) {
+                    throw new AdapterError(
+                        `Stopped after ${this._max_pages} pages of results; there may be more data`,
+                        {provider: options._provider_name, url: next_url},
+                    );
+                }
+                return fetchPage(next_url, page_number + 1);
+            });
+        return fetchPage(url, 1);
+    }
+}
+
+export { JsonApiAdapter, columnsToRows, getPath, isColumnar };
@@ -0,0 +1,188 @@
+/**
+ * Limit how many requests are sent at once, and how often, so that a page with many data sources does not overload
+ *  (or get throttled by) a small server.
+ */
+import {AbortError} from './errors';
+
+
+/**
+ * A queue that limits the number of tasks in progress (`max_concurrent`), and the rate at which tasks are started
+ *  (a token bucket: `rate` tasks per `interval` ms, with bursts of up to `burst` tasks after a quiet period).
+ *
+ * A limiter can be used by one adapter, or shared by several (eg every adapter that talks to the same server).
+ */
+class RequestLimiter {
+    /**
+     * @param {Object} [options]
+     * @param {Number} [options.max_concurrent=Infinity] The maximum number of tasks in progress at once
+     * @param {Number} [options.rate=null] The maximum number of tasks started per interval. By default, not limited.
+     * @param {Number} [options.interval=1000] The length of the interval for `rate` (in ms)
+     * @param {Number} [options.burst=rate] How many tasks can be started at once, after a quiet period. By default,
+     *  `rate` tasks (but at least one, eg for a rate of one task every 2 seconds)
+     */
+    constructor({max_concurrent = Infinity, rate = null, interval = 1000, burst = Math.max(1, rate)} = {}) {
+        if (!(max_concurrent >= 1)) {
+            throw new Error('Option "max_concurrent" must be >= 1');
+        }
+        if (rate !== null && !(rate > 0 && interval > 0 && burst >= 1)) {
+            throw new Error('Rate limits must have "rate" > 0, "interval" > 0, and "burst" >= 1');
+        }
+        this._max_concurrent = max_concurrent;
+        this._rate = rate;
+        this._interval = interval;
+        this._burst = burst;
+        this._tokens = burst;
+        this._last_refill = Date.now();
+        this._timer = null;
+
+        this._active = 0;
+        this._queue = [];
+    }
+
+    /**
+     * The number of tasks in progress
+     * @returns {number}
+     */
+    get active() {
+        return this._active;
+    }
+
+    /**
+     * The number of tasks waiting to start
+     * @returns {number}
+     */
+    get queued() {
+        return this._queue.length;
+    }
+
+    stats() {
+        return {active: this._active, queued: this._queue.length};
+    }
+
+    /**
+     * Run a task as soon as the limits allow. A task that is cancelled while it is waiting will never start.
+     * @param {function(): Promise} callback The task
+     * @param {AbortSignal} [signal] Allows the caller to stop waiting
+     * @returns {Promise} The result of the task
+     */
+    run(callback, signal) {
+        if (signal && signal.aborted) {
+            return Promise.reject(new AbortError());
+        }
+        return new Promise((resolve, reject) => {
+            const entry = {callback, resolve, reject, signal, cancel: null};
+            if (signal) {
+                entry.cancel = () => {
+                    const position = this._queue.indexOf(entry);
+                    if (position !== -1) {
+                        this._queue.splice(position, 1);
+                        reject(new AbortError());
+                    }
+                };
+                signal.addEventListener('abort', entry.cancel, {once: true});
+            }
+            this._queue.push(entry);
+            this._next();
+        });
+    }
+
+    // Add tokens for the time that has passed since the last refill
+    _refill() {
+        const now = Date.now();
+        this._tokens = Math.min(this._burst, this._tokens + (now - this._last_refill) * this._rate / this._interval);
+        this._last_refill = now;
+    }
+
+    // Start as many tasks as the limits allow
+    _next() {
+        while (this._queue.length && this._active < this._max_concurrent) {
+            if (this._rate !== null) {
+                this._refill();
+                if (this._tokens < 1) {
+                    // Check again once there is a token available
+                    if (!this._timer) {
+                        const wait = (1 - this._tokens) * this._interval / this._rate;
+                        this._timer = setTimeout(() => {
+                            this._timer = null;
+                            this._next();
+                        }, Math.ceil(wait));
+                    }
+                    return;
+                }
+                this._tokens -= 1;
+            }
+            this._start(this._queue.shift());
+        }
+    }
+
+    _start({callback, resolve, reject, signal, cancel}) {
+        if (signal) {
+            signal.removeEventListener('abort', cancel);
+        }
+        this._active += 1;
+        const done = () => {
+            this._active -= 1;
+            this._next();
+        };
+        const result = Promise.resolve().then(callback);
+        result.then(done, done);
+        result.then(resolve, reject);
+    }
+}
+
+
+/**
+ * Apply separate limits to each server (host), eg "no more than 4 requests at once to any one server". One instance
+ *  can be shared by every adapter on the page. Accepts the same options as `RequestLimiter`.
+ */
+class HostLimiter {
+    constructor(options = {}) {
+        this._options = options;
+        // Validate options now, rather than when the first request is made
+        new RequestLimiter(options);
+        this._limiters = new Map();
+    }
+
+    /**
+     * The limiter for a specific host
+     * @param {String} host
+     * @returns {RequestLimiter}
+     */
+    forHost(host) {
+        let limiter = this._limiters.get(host);
+        if (!limiter) {
+            limiter = new RequestLimiter(this._options);
+            this._limiters.set(host, limiter);
+        }
+        return limiter;
+    }
+
+    get active() {
+        return [...this._limiters.values()].reduce((acc, limiter) => acc + limiter.active, 0);
+    }
+
+    get queued() {
+        return [...this._limiters.values()].reduce((acc, limiter) => acc + limiter.queued, 0);
+    }
+
+    stats() {
+        const hosts = {};
+        for (const [host, limiter] of this._limiters) {
+            hosts[host] = limiter.stats();
+        }
+        return {active: this.active, queued: this.queued, hosts};
+    }
+
+    /**
+     * Run a task, subject to the limits for one host
+     * @param {function(): Promise} callback
+     * @param {AbortSignal} [signal]
+     * @param {String} [host='']
+     * @returns {Promise}
+     */
+    run(callback, signal, host = '') {
+        return this.forHost(host || '').run(callback, signal);
+    }
+}
+
+export { HostLimiter, RequestLimiter };
@@ -0,0 +1,86 @@
+/**
+ * Adapters for data that is already available in the browser, eg computed by the page, or a file chosen by the user.
+ *  These go through the same caching, annotation, and post-processing steps as data from a server.
+ */
+import {BaseAdapter} from './adapter';
+import {AdapterParseError} from './errors';
+import {optionsKey} from './util';
+
+
+/**
+ * Serve a fixed array of records, or the result of a function that computes records for each request.
+ *
+ * @example
+ * const fixed = new StaticAdapter({data: [{id: 1}, {id: 2}]});
+ * const computed = new StaticAdapter({data: (options) => computeRecords(options.chr, options.start, options.end)});
+ */
+class StaticAdapter extends BaseAdapter {
+    constructor(config = {}) {
+        super(config);
+        const {
+            // An array of records, or a function that receives the request options and returns records (or a promise)
+            data,
+        } = config;
+        if (!Array.isArray(data) && typeof data !== 'function') {
+            throw new Error('Static adapters must specify an array or a function as option "data"');
+        }
+        this._data = data;
+    }
+
+    // Fixed data is the same for every request. Computed data is cached separately for each set of options.
+    _getCacheKey(options) {
+        if (Array.isArray(this._data)) {
+            return 'static';
+        }
+        return optionsKey(options);
+    }
+
+    _performRequest(options) {
+        // The result is copied before it is used, so the original array is never changed
+        return Array.isArray(this._data) ? this._data : this._data(options);
+    }
+}
+
+
+/**
+ * Read records from a `Blob` or `File` (eg a file chosen by the user, via `<input type="file">`). By default, the
+ *  contents are parsed as JSON. For other formats, override `_normalizeResponse`, or use `DelimitedTextMixin` for
+ *  CSV/TSV files.
+ *
+ * @example
+ * class UploadedFileAdapter extends DelimitedTextMixin(BlobAdapter) {}
+ * const source = new UploadedFileAdapter({blob: input.files[0]});
+ */
+class BlobAdapter extends BaseAdapter {
+    constructor(config = {}) {
+        super(config);
+        const {blob} = config;
+        if (!blob || typeof blob.text !== 'function') {
+            throw new Error('Blob adapters must specify a Blob or File as option "blob"');
+        }
+        this._blob = blob;
+    }
+
+    // Every request reads the same file
+    _getCacheKey(options) {
+        const {name = '', size, lastModified = ''} = this._blob;
+        return `blob:${name}:${size}:${lastModified}`;
+    }
+
+    _performRequest(options) {
+        return this._blob.text();
+    }
+
+    _normalizeResponse(response_text, options) {
+        try {
+            return JSON.parse(response_text);
+        } catch (e) {
+            throw new AdapterParseError(
+                `Unable to parse file as JSON: ${e.message}`,
+                {provider: options._provider_name, body: response_text, cause: e},
+            );
+        }
+    }
+}
+
+export { BlobAdapter, StaticAdapter };
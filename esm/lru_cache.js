@@ -1,20 +1,84 @@
 // Implement an LRU Cache
+import {EventEmitter} from './events';
+
+/**
+ * Roughly estimate how much memory (in bytes) a value uses. Strings are assumed to use 2 bytes per character, and
+ *  numbers 8 bytes. This is not exact, but is good enough to tell a small response from a huge one.
+ * @param value
+ * @returns {number}
+ */
+function estimateBytes(value) {
+    if (value === null || value === undefined) {
+        return 0;
+    }
+    switch (typeof value) {
+    case 'string':
+        return value.length * 2;
+    case 'number':
+        return 8;
+    case 'boolean':
+        return 4;
+    case 'object':
+        if (Array.isArray(value)) {
+            return value.reduce((acc, item) => acc + estimateBytes(item), 0);
+        }
+        return Object.keys(value).reduce((acc, key) => acc + key.length * 2 + estimateBytes(value[key]), 0);
+    default:
+        return 0;
+    }
+}
+
+/**
+ * Measure a response by the number of records it contains
+ * @param value
+ * @returns {number}
+ */
+function countRecords(value) {
+    return Array.isArray(value) ? value.length : 1;
+}
 
 class LLNode {
-    constructor(key, value, metadata = {}, prev = null, next = null) {
+    constructor(key, value, metadata = {}, prev = null, next = null, expires = null) {
         this.key = key;
         this.value = value;
         this.metadata = metadata;
         this.prev = prev;
         this.next = next;
+        this.expires = expires;
+        this.weight = 0;
+    }
+
+    isExpired() {
+        return this.expires !== null && Date.now() >= this.expires;
     }
 }
 
-class LRUCache {
-    constructor(max_size = 3) {
+/**
+ * An LRU cache. Emits events (via `on`) that can be used to see how well the cache is working:
+ *  `hit`, `miss`, `add`, `evict` (with a `reason`: capacity, weight, or expired), and `remove`. Each event receives
+ *  an object with the entry `key` and `metadata`.
+ */
+class LRUCache extends EventEmitter {
+    /**
+     * @param {Number} [max_size=3] The maximum number of entries
+     * @param {Object} [options]
+     * @param {Number} [options.ttl=null] How long (in ms) entries remain fresh. This can be overridden for each entry,
+     *  via `metadata.ttl`. By default, entries never expire.
+     * @param {Number} [options.max_weight=null] The maximum total weight of all entries (eg bytes, or records).
+     *  When exceeded, the least recently used entries are removed until the cache is back under budget.
+     * @param {function} [options.sizer=estimateBytes] Calculates the weight of each entry. If the value is a promise,
+     *  the entry is weighed once the promise resolves.
+     */
+    constructor(max_size = 3, {ttl = null, max_weight = null, sizer = estimateBytes} = {}) {
+        super();
         this._max_size = max_size;
+        this._ttl = ttl;
+        this._max_weight = max_weight;
+        this._sizer = sizer;
         this._cur_size = 0; // replace with map.size so we aren't managing manually?
+        this._cur_weight = 0;
         this._store = new Map();
+        this._counts = {hits: 0, misses: 0, adds: 0, evictions: 0, removals: 0};
 
         // Track LRU state
         this._head = null;
@@ -24,26 +88,78 @@ class LRUCache {
         if (max_size === null || max_size < 0) {
             throw new Error('Cache "max_size" must be >= 0');
         }
+        if (max_weight !== null && !(max_weight >= 0)) {
+            throw new Error('Cache "max_weight" must be >= 0');
+        }
     }
 
-    has(key) {
+    /**
+     * The total weight of all entries currently in the cache. (only tracked if the cache has a "max_weight")
+     * @returns {number}
+     */
+    get weight() {
+        return this._cur_weight;
+    }
+
+    /**
+     * A snapshot of how the cache has been used. A hit is counted each time an item is retrieved, and a miss each
+     *  time a lookup (`has` or `get`) finds nothing.
+     * @returns {{hits: number, misses: number, hit_ratio: number, adds: number, evictions: number, removals: number, size: number, max_size: number, weight: number}}
+     */
+    stats() {
+        const {hits, misses} = this._counts;
+        return Object.assign({}, this._counts, {
+            hit_ratio: (hits + misses) ? hits / (hits + misses) : 0,
+            size: this._cur_size,
+            max_size: this._max_size,
+            weight: this._cur_weight,
+        });
+    }
+
+    // Look up a node, ignoring (and removing) expired entries unless asked for them
+    _lookup(key, allow_stale) {
+        const cached = this._store.get(key);
+        if (!cached) {
+            this._counts.misses += 1;
+            this._emit('miss', {key});
+            return null;
+        }
+        if (!allow_stale && cached.isExpired()) {
+            this._evict(cached, 'expired');
+            this._counts.misses += 1;
+            this._emit('miss', {key});
+            return null;
+        }
+        return cached;
+    }
+
+    has(key, {allow_stale = false} = {}) {
         // Check key membership without updating LRU
-        return this._store.has(key);
+        return !!this._lookup(key, allow_stale);
     }
 
-    get(key) {
+    get(key, {allow_stale = false} = {}) {
         // Retrieve value from cache (if present) and update LRU cache accordingly
-        const cached = this._store.get(key);
+        const cached = this._lookup(key, allow_stale);
         if (!cached) {
             return null;
         }
+        this._counts.hits += 1;
+        this._emit('hit', {key, metadata: cached.metadata});
         if (this._head !== cached) {
-            // Rewrite the cached value to ensure it is head of the list
-            this.add(key, cached.value);
+            // Move the cached node to the head of the list (without changing when it expires)
+            this._remove(cached);
+            this._insert(cached);
         }
         return cached.value;
     }
 
+    // Check whether an entry is present, but past its expiration time
+    isStale(key) {
+        const cached = this._store.get(key);
+        return !!cached && cached.isExpired();
+    }
+
     add(key, value, metadata = {}) {
         // Add an item. Forcibly replaces the existing cached value for the same key.
         if (this._max_size === 0) {
@@ -56,8 +172,52 @@ class LRUCache {
             this._remove(prior);
         }
 
-        const node = new LLNode(key, value, metadata, null, this._head);
+        const ttl = (metadata && metadata.ttl !== undefined) ? metadata.ttl : this._ttl;
+        const expires = (ttl === null || ttl === undefined) ? null : Date.now() + ttl;
+        const node = new LLNode(key, value, metadata, null, null, expires);
+
+        if (this._max_size >= 0 && this._cur_size >= this._max_size) {
+            this._evict(this._tail, 'capacity');
+        }
+        this._insert(node);
+        this._counts.adds += 1;
+        this._emit('add', {key, metadata});
+
+        if (this._max_weight !== null) {
+            if (value && typeof value.then === 'function') {
+                // Rejected promises are not weighed: they will be removed from the cache by whoever added them
+                value.then((resolved) => this._setWeight(node, resolved), () => null);
+            } else {
+                this._setWeight(node, value);
+            }
+        }
+    }
+
+    _setWeight(node, value) {
+        if (this._store.get(node.key) !== node) {
+            // This entry was already removed
+            return;
+        }
+        const weight = this._sizer(value);
+        node.weight = weight;
+        this._cur_weight += weight;
+        // Evict least recently used entries until under budget. (an entry that is too big to fit at all is removed too)
+        while (this._tail && this._cur_weight > this._max_weight) {
+            this._evict(this._tail, 'weight');
+        }
+    }
+
+    // Remove an entry that the cache has decided not to keep
+    _evict(node, reason) {
+        this._remove(node);
+        this._counts.evictions += 1;
+        this._emit('evict', {key: node.key, metadata: node.metadata, reason});
+    }
 
+    // Internal implementation: add a node at the head of the list
+    _insert(node) {
+        node.prev = null;
+        node.next = this._head;
         if (this._head) {
             this._head.prev = node;
         } else {
@@ -65,14 +225,9 @@ class LRUCache {
         }
 
         this._head = node;
-        this._store.set(key, node);
-
-        if (this._max_size >= 0 && this._cur_size >= this._max_size) {
-            const old = this._tail;
-            this._tail = this._tail.prev;
-            this._remove(old);
-        }
+        this._store.set(node.key, node);
         this._cur_size += 1;
+        this._cur_weight += node.weight;
     }
 
 
@@ -81,6 +236,7 @@ class LRUCache {
         this._head = null;
         this._tail = null;
         this._cur_size = 0;
+        this._cur_weight = 0;
         this._store = new Map();
     }
 
@@ -91,6 +247,8 @@ class LRUCache {
             return false;
         }
         this._remove(cached);
+        this._counts.removals += 1;
+        this._emit('remove', {key, metadata: cached.metadata});
         return true;
     }
 
@@ -109,6 +267,7 @@ class LRUCache {
         }
         this._store.delete(node.key);
         this._cur_size -= 1;
+        this._cur_weight -= node.weight;
     }
 
     /**
@@ -122,12 +281,13 @@ class LRUCache {
         let node = this._head;
         while (node) {
             const next = node.next;
-            if (callback(node)) {
+            if (!node.isExpired() && callback(node)) {
                 return node;
             }
             node = next;
         }
+        return null;
     }
 }
 
-export { LRUCache };
+export { LRUCache, countRecords, estimateBytes };
@@ -0,0 +1,267 @@
+/**
+ * A cache that survives page reloads, by storing data in a persistent key-value storage.
+ *
+ * Any object with the same methods as `LRUCache` (`has`, `get`, `add`, `remove`, `clear`, and `find`) can be used as
+ *  an adapter cache, via the `cache` option. Each method may return a value directly, or a promise. (caches used
+ *  with `stale_while_revalidate` must also provide `isStale`, and accept the `allow_stale` option for `has` and `get`)
+ *
+ * Caches that are slow to read can also provide `getEntry`, which adapters will use instead of `has`, `get`, and
+ *  `isStale`. That way, each cache hit only reads the entry once.
+ */
+
+// Where the index of entries is stored (after the namespace). This can't be mistaken for a real cache key.
+const INDEX_KEY = '\u0000index';
+
+/**
+ * An in-memory key-value storage with the same interface as `window.localStorage`. Useful as a stand-in for
+ *  persistent storage in environments that don't provide it (like Node), and for tests.
+ */
+class MemoryStorage {
+    constructor() {
+        this._items = new Map();
+    }
+
+    get length() {
+        return this._items.size;
+    }
+
+    key(index) {
+        const keys = [...this._items.keys()];
+        return index < keys.length ? keys[index] : null;
+    }
+
+    getItem(key) {
+        return this._items.has(key) ? this._items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this._items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this._items.delete(key);
+    }
+
+    clear() {
+        this._items.clear();
+    }
+}
+
+class PersistentCache {
+    /**
+     * @param storage Where to store data. This can be a Web Storage object (like `window.localStorage`), or an
+     *  asynchronous storage with the same methods (like localForage, which uses IndexedDB and has room for much
+     *  larger payloads).
+     * @param {Object} [options]
+     * @param {String} [options.namespace='undercomplicate:'] A prefix for all keys, so that several caches (or other
+     *  code) can use the same storage without collisions
+     * @param {Number} [options.max_size=null] The maximum number of entries. When full, the oldest entries are removed.
+     * @param {Number} [options.ttl=null] How long (in ms) entries remain fresh. This can be overridden for each entry,
+     *  via `metadata.ttl`. By default, entries never expire.
+     */
+    constructor(storage, {namespace = 'undercomplicate:', max_size = null, ttl = null} = {}) {
+        if (!storage) {
+            throw new Error('A persistent cache must be given a storage object');
+        }
+        if (max_size !== null && !(max_size >= 0)) {
+            throw new Error('Cache "max_size" must be >= 0');
+        }
+        this._storage = storage;
+        this._namespace = namespace;
+        this._max_size = max_size;
+        this._ttl = ttl;
+        this._index_key = `${namespace}${INDEX_KEY}`;
+        // Changes to the index are made one at a time (see `_updateIndex`)
+        this._index_queue = Promise.resolve();
+    }
+
+    // Cache keys are stored as strings
+    _storageKey(key) {
+        return `${this._namespace}${key}`;
+    }
+
+    _read(storage_key) {
+        return Promise.resolve(this._storage.getItem(storage_key))
+            .then((raw) => (raw === null || raw === undefined) ? null : JSON.parse(raw));
+    }
+
+    // All storage keys that belong to this cache
+    _keys() {
+        const storage = this._storage;
+        let keys;
+        if (typeof storage.keys === 'function') {
+            keys = storage.keys();
+        } else {
+            keys = [];
+            for (let i = 0; i < storage.length; i++) {
+                keys.push(storage.key(i));
+            }
+        }
+        return Promise.resolve(keys)
+            .then((all_keys) => all_keys.filter((key) => key.startsWith(this._namespace) && key !== this._index_key));
+    }
+
+    _entries() {
+        return this._keys()
+            .then((keys) => Promise.all(keys.map((key) => this._read(key))))
+            .then((entries) => entries.filter((entry) => !!entry));
+    }
+
+    /**
+     * Read the index, which records when each entry was added (by storage key). The index is a single small item, so
+     *  that making room for new entries does not require reading every (possibly large) entry. If there is no index
+     *  (eg for data stored by an older version), it is rebuilt from the entries.
+     * @returns {Promise<Object>}
+     * @private
+     */
+    _readIndex() {
+        return this._read(this._index_key).then((index) => {
+            if (index) {
+                return index;
+            }
+            return this._entries().then((entries) => {
+                const rebuilt = {};
+                entries.forEach((entry) => rebuilt[this._storageKey(entry.key)] = entry.added);
+                return rebuilt;
+            });
+        });
+    }
+
+    /**
+     * Make a change that affects the index, and then save the index. Changes are made one at a time, so that
+     *  concurrent changes (with asynchronous storage) are not lost.
+     * @param {function(Object): *} update Receives the index (which it may modify), and may return a promise
+     * @returns {Promise} The result of `update`
+     * @private
+     */
+    _updateIndex(update) {
+        const result = this._index_queue
+            .then(() => this._readIndex())
+            .then((index) => Promise.resolve(update(index)).then((value) => {
+                const saved = Object.keys(index).length
+                    ? this._storage.setItem(this._index_key, JSON.stringify(index))
+                    : this._storage.removeItem(this._index_key);
+                return Promise.resolve(saved).then(() => value);
+            }));
+        this._index_queue = result.catch(() => null);
+        return result;
+    }
+
+    // Make room for one more entry, by removing the oldest. (replacing an existing entry does not need more room)
+    _evict(index, storage_key) {
+        if (this._max_size === null) {
+            return Promise.resolve();
+        }
+        const keys = Object.keys(index)
+            .filter((key) => key !== storage_key)
+            .sort((a, b) => index[a] - index[b]);
+        const removed = keys.slice(0, Math.max(keys.length - this._max_size + 1, 0));
+        removed.forEach((storage_key) => delete index[storage_key]);
+        return Promise.all(removed.map((storage_key) => this._storage.removeItem(storage_key)));
+    }
+
+    _isExpired(entry) {
+        return entry.expires !== null && Date.now() >= entry.expires;
+    }
+
+    // Read an entry, ignoring expired entries unless asked for them
+    _lookup(key, allow_stale) {
+        return this._read(this._storageKey(key))
+            .then((entry) => (entry && (allow_stale || !this._isExpired(entry))) ? entry : null);
+    }
+
+    has(key, {allow_stale = false} = {}) {
+        return this._lookup(key, allow_stale)
+            .then((entry) => !!entry);
+    }
+
+    get(key, {allow_stale = false} = {}) {
+        return this._lookup(key, allow_stale)
+            .then((entry) => entry ? entry.value : null);
+    }
+
+    /**
+     * Read an entry once, and report everything that an adapter needs to know about it
+     * @param key
+     * @param {Object} [options]
+     * @param {Boolean} [options.allow_stale=false] Whether to return an entry that has expired
+     * @returns {Promise<{value: *, stale: Boolean}|null>} The entry, or null if it is not in the cache
+     */
+    getEntry(key, {allow_stale = false} = {}) {
+        return this._lookup(key, allow_stale)
+            .then((entry) => entry ? {value: entry.value, stale: this._isExpired(entry)} : null);
+    }
+
+    // Check whether an entry is present, but past its expiration time
+    isStale(key) {
+        return this._read(this._storageKey(key))
+            .then((entry) => !!entry && this._isExpired(entry));
+    }
+
+    /**
+     * Add an item. If the value is a promise, it will be stored once it resolves. (a promise that rejects is
+     *  never stored)
+     * @param key
+     * @param value Must be JSON-serializable
+     * @param {Object} [metadata]
+     * @returns {Promise<Boolean>} Whether the item was stored. Items can't be stored if the storage fails, eg because
+     *  it is full.
+     */
+    add(key, value, metadata = {}) {
+        if (this._max_size === 0) {
+            return Promise.resolve(false);
+        }
+        const storage_key = this._storageKey(key);
+        let added;
+        return Promise.resolve(value)
+            .then((resolved) => {
+                const ttl = (metadata && metadata.ttl !== undefined) ? metadata.ttl : this._ttl;
+                added = Date.now();
+                const expires = (ttl === null || ttl === undefined) ? null : added + ttl;
+                // The entry is stored right away, and older entries are removed afterwards
+                return this._storage.setItem(storage_key, JSON.stringify({key, value: resolved, metadata, added, expires}));
+            })
+            .then(() => this._updateIndex((index) => {
+                index[storage_key] = added;
+                return this._evict(index, storage_key);
+            }).catch(() => null))
+            .then(() => true, () => false);
+    }
+
+    remove(key) {
+        const storage_key = this._storageKey(key);
+        return this._updateIndex((index) => {
+            delete index[storage_key];
+            return this._read(storage_key).then((entry) => {
+                if (!entry) {
+                    return false;
+                }
+                return Promise.resolve(this._storage.removeItem(storage_key))
+                    .then(() => true);
+            });
+        });
+    }
+
+    clear() {
+        return this._updateIndex((index) => {
+            Object.keys(index).forEach((storage_key) => delete index[storage_key]);
+            return this._keys()
+                .then((keys) => Promise.all(keys.map((key) => this._storage.removeItem(key))));
+        });
+    }
+
+    /**
+     * Find a matching item in the cache (newest first). The callback receives an object with the same fields as an
+     *  LRUCache node: `{key, value, metadata}`.
+     * @param callback
+     * @returns {Promise<null|Object>}
+     */
+    find(callback) {
+        return this._entries().then((entries) => {
+            entries.sort((a, b) => b.added - a.added);
+            return entries.find((entry) => !this._isExpired(entry) && callback(entry)) || null;
+        });
+    }
+}
+
+export { MemoryStorage, PersistentCache };
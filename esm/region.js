@@ -0,0 +1,86 @@
+/**
+ * Helpers for adapters that retrieve data for a genomic region (chr:start-end).
+ */
+import {optionsKey} from './util';
+
+/**
+ * Add region-aware caching to any adapter class. A request for a region that is contained within a region already
+ *  in cache (eg zooming in) is treated as a cache hit, and the cached records are filtered to the requested interval.
+ *
+ * Requests must specify the options `chr`, `start`, and `end`. Records are filtered using the fields given in the
+ *  config option `region_fields` (for point-like records such as variants, use the same field for start and end).
+ *
+ * @example
+ * class AssociationAdapter extends RegionAdapterMixin(BaseUrlAdapter) {}
+ * const source = new AssociationAdapter({url, region_fields: {chr: 'chromosome', start: 'position', end: 'position'}});
+ *
+ * @param {function} BaseClass The adapter class to extend
+ * @returns {function} A new adapter class
+ */
+function RegionAdapterMixin(BaseClass) {
+    return class extends BaseClass {
+        constructor(config = {}) {
+            super(config);
+            const {
+                // Which fields of each record describe where it is located
+                region_fields = {chr: 'chr', start: 'start', end: 'end'},
+            } = config;
+            this._region_fields = region_fields;
+        }
+
+        /**
+         * Identify options (other than region) that determine what data is returned, eg genome build. Only cache
+         *  entries with the same scope can satisfy a request. By default, every option other than the region is
+         *  part of the scope; subclasses can override this if some options don't affect the data.
+         * @param {Object} options
+         * @returns {String}
+         * @private
+         */
+        _getCacheScope(options) {
+            return optionsKey(options, ['chr', 'start', 'end']);
+        }
+
+        _getCacheKey(options) {
+            const {chr, start, end} = options;
+            if (chr === undefined || start === undefined || end === undefined) {
+                throw new Error('Region-aware adapters require the options "chr", "start", and "end"');
+            }
+            const scope = this._getCacheScope(options);
+
+            // Zooming into a cached region counts as a hit. (async caches can't be searched while choosing a key,
+            //  so in that case, only exact matches will be found)
+            const cached = this._cache.find(({metadata}) => metadata && metadata.scope === scope
+                && String(metadata.chr) === String(chr) && start >= metadata.start && end <= metadata.end);
+            if (cached && typeof cached.then !== 'function') {
+                return cached.key;
+            }
+
+            // Record the region in cache metadata, so that later requests can find it
+            options._cache_meta = Object.assign({}, options._cache_meta, {chr, start, end, scope});
+            return `${scope} ${chr}:${start}-${end}`;
+        }
+
+        /**
+         * Keep only the records that overlap the requested region. This is applied to every response (not just
+         *  those satisfied by a larger cached region), so that the same request always gives the same result.
+         *  Subclasses that override this method should call `super._annotateRecords`.
+         * @param records
+         * @param {Object} options
+         * @returns {Object[]}
+         * @private
+         */
+        _annotateRecords(records, options) {
+            const {chr: chr_field, start: start_field, end: end_field} = this._region_fields;
+            const {chr, start, end} = options;
+            const filtered = records.filter((record) => {
+                if (chr_field && String(record[chr_field]) !== String(chr)) {
+                    return false;
+                }
+                return record[start_field] <= end && record[end_field] >= start;
+            });
+            return super._annotateRecords(filtered, options);
+        }
+    };
+}
+
+export { RegionAdapterMixin };
@@ -4,77 +4,336 @@
 
 import {Sorter} from '@hapi/topo';
 
+import {AdapterError, DependencyError} from './errors';
+import {JOIN_PROVIDERS} from './joins';
+import {abortable, throwIfAborted} from './util';
+
+
+// Option values in a dependency specification that are not strings
+const LITERALS = {true: true, false: false, null: null};
+
+/**
+ * Parse one dependency declaration. The full syntax is `name=source(dep1, dep2?; option=value, ...)`, where every
+ *  part other than the name is optional:
+ *  - `assoc` or `ld(assoc)`: request data from the provider `ld`, which depends on the data from `assoc`
+ *  - `assoc2=assoc`: an alias. The provider `assoc` is used, under the name `assoc2` (eg with different options)
+ *  - `ld(assoc?)`: an optional dependency. If `assoc` fails (or is not declared), `ld` receives `null` instead.
+ *  - `assoc2=assoc(; build=GRCh37)`: options for this request, which override the shared options. Values may be
+ *      quoted strings, numbers, `true`, `false`, `null`, or other text (as a string).
+ *
+ * @param {String} spec
+ * @returns {{name: String, source: String, dependencies: {name: String, optional: Boolean}[], options: Object}}
+ */
+function _parse_spec(spec) {
+    let position = 0;
+    const fail = (message) => {
+        throw new DependencyError(
+            `Unable to parse dependency specification "${spec}": ${message} at position ${position}`,
+            {spec, position},
+        );
+    };
+    const skipSpace = () => {
+        while (position < spec.length && /\s/.test(spec[position])) {
+            position += 1;
+        }
+    };
+    // Consume the given character, if it is next (after any whitespace)
+    const accept = (char) => {
+        skipSpace();
+        if (spec[position] === char) {
+            position += 1;
+            return true;
+        }
+        return false;
+    };
+    const read = (pattern, description) => {
+        skipSpace();
+        const match = pattern.exec(spec.slice(position));
+        if (!match) {
+            fail(`expected ${description}`);
+        }
+        position += match[0].length;
+        return match[0];
+    };
+    const readName = () => read(/^\w+/, 'a name');
+    const readValue = () => {
+        skipSpace();
+        const quote = spec[position];
+        if (quote === '"' || quote === "'") {
+            const close = spec.indexOf(quote, position + 1);
+            if (close === -1) {
+                fail('unterminated string');
+            }
+            const value = spec.slice(position + 1, close);
+            position = close + 1;
+            return value;
+        }
+        const text = read(/^[^\s,;()'"]+/, 'a value');
+        if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) {
+            return Number(text);
+        }
+        return Object.prototype.hasOwnProperty.call(LITERALS, text) ? LITERALS[text] : text;
+    };
+
+    const name = readName();
+    const source = accept('=') ? readName() : name;
+    const dependencies = [];
+    const options = {};
+    if (accept('(') && !accept(')')) {
+        // Dependencies come first, then options (which may be separated from dependencies by a semicolon)
+        let in_options = accept(';');
+        for (;;) {
+            const item = readName();
+            if (accept('=')) {
+                in_options = true;
+                options[item] = readValue();
+            } else if (in_options) {
+                fail('expected an option (name=value)');
+            } else {
+                dependencies.push({name: item, optional: accept('?')});
+            }
+
+            if (!in_options && accept(';')) {
+                in_options = true;
+            } else if (accept(')')) {
+                break;
+            } else if (!accept(',')) {
+                fail('expected "," or ")"');
+            }
+        }
+    }
+    skipSpace();
+    if (position < spec.length) {
+        fail('unexpected text');
+    }
+    return {name, source, dependencies, options};
+}
 
 function _parse_declaration(spec) {
     // Parse a dependency declaration like `assoc` or `ld(assoc)` or `join(assoc, ld)`. Return node and edges that can be used to build a graph.
-    const parsed = /^(?<name_alone>\w+)$|((?<name_deps>\w+)+\(\s*(?<deps>[^)]+?)\s*\))/.exec(spec);
-    if (!parsed) {
-        throw new Error(`Unable to parse dependency specification: ${spec}`);
-    }
+    const {name, dependencies} = _parse_spec(spec);
+    return [name, dependencies.map((dep) => dep.name)];
+}
 
-    let {name_alone, name_deps, deps} = parsed.groups;
-    if (name_alone) {
-        return [name_alone, []];
+/**
+ * Check that a built-in join (eg `left_join(assoc, catalog; on=variant)`) has everything it needs
+ * @param {Object} node A parsed dependency specification
+ */
+function _validate_join(node) {
+    const {name, source, dependencies, options, spec} = node;
+    if (dependencies.length !== 2) {
+        throw new DependencyError(
+            `The join '${name}' must depend on exactly two sources (left and right), but found ${dependencies.length}`,
+            {provider: name, spec},
+        );
+    }
+    if (!options.on && !(options.left_on && options.right_on)) {
+        throw new DependencyError(
+            `The join '${name}' must specify which fields to match, eg "${name}=${source}(${dependencies.map((dep) => dep.name).join(', ')}; on=field)", or "left_on" and "right_on"`,
+            {provider: name, spec},
+        );
     }
-
-    deps = deps.split(/\s*,\s*/);
-    return [name_deps, deps];
 }
 
-function getLinkedData(shared_options, entities, dependencies, consolidate = true) {
+/**
+ * Retrieve data from several providers, where some requests may depend on the results of others
+ * @param {Object} shared_options Options passed to every provider
+ * @param {Map} entities Providers (usually adapters), by name
+ * @param {String[]} dependencies Specifications of which providers to use, eg `['assoc', 'ld(assoc)']`. Providers can
+ *  be used more than once under different names, with different options, and dependencies can be optional: see
+ *  `_parse_spec` for the full syntax. A request that fails will reject the result, unless every request that depends
+ *  on it marks it as optional (in which case its result is `null`). Data can also be combined by built-in joins
+ *  (`left_join`, `inner_join`, and `full_outer_join`), eg `assoc_catalog=left_join(assoc, catalog; on=variant)`.
+ * @param {Boolean} [consolidate=true] Whether to return only the last response in the sequence
+ * @param {Object} [request_options]
+ * @param {AbortSignal} [request_options.signal] Cancel every pending request. Cancelled requests will reject with an `AbortError`.
+ * @param {Boolean} [request_options.partial=false] Don't let one failed request reject everything. Instead, return a
+ *  Map of {provider_name: outcome}, where each outcome is `{status: 'fulfilled', value}`, `{status: 'rejected', reason}`,
+ *  or `{status: 'skipped', reason}` (for requests that were never attempted because something they depend on failed).
+ *  In this mode, `consolidate` is ignored.
+ * @param {Boolean} [request_options.named=false] Return a Map of {provider_name: response}, instead of an array of
+ *  responses in the order that requests were performed. In this mode, `consolidate` is ignored.
+ * @param {String[]} [request_options.outputs] Which provider(s) to return results for. When consolidating, this
+ *  must be exactly one name. Required when consolidating a graph with more than one final result.
+ * @returns {Promise}
+ */
+function getLinkedData(shared_options, entities, dependencies, consolidate = true, {signal, partial = false, named = false, outputs} = {}) {
     if (!dependencies.length) {
         return [];
     }
 
-    const parsed = dependencies.map((spec) => _parse_declaration(spec));
-    const dag = new Map(parsed);
+    const dag = new Map();
+    for (let spec of dependencies) {
+        const node = _parse_spec(spec);
+        node.spec = spec;
+        if (dag.has(node.name)) {
+            throw new DependencyError(
+                `The name '${node.name}' is declared more than once. Use an alias (eg "${node.name}2=${node.source}") to request the same source twice.`,
+                {provider: node.name, spec},
+            );
+        }
+        dag.set(node.name, node);
+    }
 
     // Define the order to perform requests in, based on a DAG
     const toposort = new Sorter();
-    for (let [name, deps] of dag.entries()) {
+    for (let [name, node] of dag.entries()) {
         try {
-            toposort.add(name, {after: deps, group: name});
+            toposort.add(name, {after: node.dependencies.map((dep) => dep.name), group: name});
         } catch (e) {
-            throw new Error(`Invalid or possible circular dependency specification for: ${name}`);
+            throw new DependencyError(`Invalid or possible circular dependency specification for: ${name}`, {provider: name});
         }
     }
     const order = toposort.nodes;
 
+    // Decide which result(s) to return, before any requests are made
+    if (outputs) {
+        const unknown = outputs.filter((name) => !dag.has(name));
+        if (unknown.length) {
+            throw new DependencyError(`Outputs were requested for sources not in the dependency specification: ${unknown.join(', ')}`);
+        }
+    }
+    const keyed = partial || named;
+    let consolidate_name;
+    if (consolidate && !keyed) {
+        if (outputs) {
+            if (outputs.length !== 1) {
+                throw new DependencyError('When consolidating results, exactly one output must be specified');
+            }
+            consolidate_name = outputs[0];
+        } else {
+            // The "final" responses are the ones that nothing else depends on
+            const used = new Set([].concat(...[...dag.values()].map((node) => node.dependencies.map((dep) => dep.name))));
+            const sinks = order.filter((name) => !used.has(name));
+            if (sinks.length > 1) {
+                throw new DependencyError(
+                    `Unable to consolidate results: several sources are not used by any other (${sinks.join(', ')}). Specify which to return via "outputs".`,
+                );
+            }
+            consolidate_name = sinks[0];
+        }
+    }
+
+    // Failures are tolerated for requests that are only ever used as optional dependencies
+    const usages = new Map();
+    for (let node of dag.values()) {
+        for (let dep of node.dependencies) {
+            usages.set(dep.name, (usages.get(dep.name) || []).concat(dep.optional));
+        }
+    }
+    const tolerated = new Set([...usages.entries()]
+        .filter(([, optional]) => optional.every((value) => value))
+        .map(([name]) => name));
+
     // Verify that all requested entities exist by name!
     const responses = new Map();
     for (let name of order) {
-        const provider = entities.get(name);
+        const node = dag.get(name);
+        let provider = entities.get(node.source);
+        if (!provider && JOIN_PROVIDERS.has(node.source)) {
+            // Built-in joins combine the data from other requests. (a source with the same name takes precedence)
+            _validate_join(node);
+            provider = JOIN_PROVIDERS.get(node.source);
+            // Fields can be labeled with the names of the requests that they came from (`collisions=prefix`)
+            const [left, right] = node.dependencies;
+            node.options = Object.assign(
+                {left_prefix: `${left.name}:`, right_prefix: `${right.name}:`, nest_field: right.name},
+                node.options,
+            );
+        }
         if (!provider) {
-            throw new Error(`Data has been requested from source '${name}', but no matching source was provided`);
+            throw new DependencyError(
+                `Data has been requested from source '${node.source}', but no matching source was provided`,
+                {provider: name},
+            );
         }
 
-        // Each promise should only be triggered when the things it depends on have been resolved
-        const depends_on = dag.get(name) || [];
-        const prereq_promises = Promise.all(depends_on.map((name) => responses.get(name)));
-
-        const this_result = prereq_promises.then((prior_results) => {
+        const request = (prior_results) => {
+            // If the request was cancelled while waiting for dependencies, don't start anything new
+            throwIfAborted(signal);
             // Each request will be told the name of the provider that requested it. This can be used during post-processing,
             //   eg to use the same endpoint adapter twice and label where the fields came from (assoc.id, assoc2.id)
             // This has a secondary effect: it ensures that any changes made to "shared" options in one adapter will
             //  not leak out to others via a mutable shared object reference.
-            const options = Object.assign({_provider_name: name}, shared_options);
-            return provider.getData(options, ...prior_results);
-        });
+            const options = Object.assign({_provider_name: name}, shared_options, node.options);
+            if (signal) {
+                options._signal = signal;
+            }
+            // Providers may throw before returning a promise (eg a missing option); treat that as a failed request
+            return Promise.resolve().then(() => provider.getData(options, ...prior_results)).catch((e) => {
+                // Make sure that adapter errors identify where they came from. (a failure will also be seen by every
+                //  request that depends on it, but the original provider gets to label it first)
+                if (e instanceof AdapterError && !e.provider) {
+                    e.provider = name;
+                }
+                throw e;
+            });
+        };
+
+        // Each promise should only be triggered when the things it depends on have been resolved. Optional
+        //  dependencies that were not declared at all are treated as failed.
+        const depends_on = node.dependencies;
+        const prereq_promises = Promise.all(depends_on.map((dep) => {
+            const response = responses.get(dep.name);
+            if (partial) {
+                return response || {status: 'skipped', reason: null};
+            }
+            if (dep.optional) {
+                return response ? response.catch(() => null) : null;
+            }
+            return response;
+        }));
+
+        let this_result;
+        if (partial) {
+            // In partial mode, every promise resolves to an outcome (and never rejects), so that independent branches
+            //  of the graph can succeed even if another branch fails
+            this_result = prereq_promises.then((outcomes) => {
+                const failed = depends_on
+                    .filter((dep, i) => !dep.optional && outcomes[i].status !== 'fulfilled')
+                    .map((dep) => dep.name);
+                if (failed.length) {
+                    const reason = new DependencyError(
+                        `Request for '${name}' was skipped because it depends on a failed request: ${failed.join(', ')}`,
+                        {provider: name},
+                    );
+                    return {status: 'skipped', reason};
+                }
+                const values = outcomes.map((outcome) => outcome.status === 'fulfilled' ? outcome.value : null);
+                return request(values).then(
+                    (value) => ({status: 'fulfilled', value}),
+                    (reason) => ({status: 'rejected', reason}),
+                );
+            });
+        } else {
+            this_result = prereq_promises.then(request);
+        }
         responses.set(name, this_result);
     }
-    return Promise.all([...responses.values()])
+    // Not every provider knows how to stop early; the overall result should still reject promptly when cancelled
+    const all_responses = order.map((name) => {
+        const response = responses.get(name);
+        return (tolerated.has(name) && !partial) ? response.catch(() => null) : response;
+    });
+    return abortable(Promise.all(all_responses), signal)
         .then((all_results) => {
+            const by_name = new Map(order.map((name, i) => [name, all_results[i]]));
+            if (keyed) {
+                return new Map((outputs || order).map((name) => [name, by_name.get(name)]));
+            }
             if (consolidate) {
-                // Some usages- eg fetch + data join tasks- will only require the last response in the sequence
+                // Some usages- eg fetch + data join tasks- will only require the final response
                 // Consolidate mode is the common use case, since returning a list of responses is not so helpful (depends on order of request, not order specified)
-                return all_results[all_results.length - 1];
+                return by_name.get(consolidate_name);
+            }
+            if (outputs) {
+                return outputs.map((name) => by_name.get(name));
             }
             return all_results;
         });
 }
 
-
 export {getLinkedData};
 
 // For testing only
-export {_parse_declaration};
+export {_parse_declaration, _parse_spec};
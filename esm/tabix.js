@@ -0,0 +1,474 @@
+/**
+ * Query large, bgzip-compressed and tabix-indexed files (eg on static file storage) by genomic region.
+ *  Only the parts of the file that overlap the requested region are downloaded, via HTTP Range requests.
+ *
+ * File formats are described at https://samtools.github.io/hts-specs/
+ */
+import {DelimitedTextAdapter} from './delimited';
+import {AdapterParseError} from './errors';
+import {buildURL} from './util';
+
+/* global DecompressionStream */
+
+// BGZF blocks are never larger than this (compressed)
+const MAX_BLOCK_SIZE = 65536;
+
+// Tabix indexes may contain a "pseudo-bin" of summary information, which does not describe a genomic interval
+const PSEUDO_BIN = 37450;
+
+// Tabix uses a linear index with 16kb windows
+const LINEAR_SHIFT = 14;
+
+
+/**
+ * Decompress a complete BGZF block, using the (browser or Node) built-in `DecompressionStream`. Each block is a valid
+ *  gzip file, and the "gzip" format is more widely supported than "deflate-raw" (eg by Node 18).
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+function gunzip(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).arrayBuffer()
+        .then((buffer) => new Uint8Array(buffer));
+}
+
+/**
+ * Positions in a BGZF file ("virtual offsets") combine the offset of a compressed block in the file, and an offset
+ *  within the decompressed block. They are represented as a single number (`block * 65536 + offset`), which is exact
+ *  for files up to 128 GB.
+ * @param {Number} virtual_offset
+ * @returns {{block: number, offset: number}}
+ */
+function splitVirtualOffset(virtual_offset) {
+    return {block: Math.floor(virtual_offset / 65536), offset: virtual_offset % 65536};
+}
+
+/**
+ * Decompress a series of BGZF blocks. A block that is cut off at the end of the data (eg because a Range request
+ *  ended partway through it) is ignored.
+ * @param {Uint8Array} bytes
+ * @param {Object} [options]
+ * @param {function(Uint8Array): Uint8Array|Promise<Uint8Array>} [options.inflate] Decompress raw DEFLATE data. By
+ *  default, each block is decompressed with `DecompressionStream`.
+ * @param {Number} [options.last_block=Infinity] Stop after the block that starts at this offset (relative to `bytes`)
+ * @returns {Promise<{data: Uint8Array, blocks: Map<Number, Number>}>} The decompressed data, and where each block
+ *  (by offset in `bytes`) begins in that data
+ */
+function readBgzf(bytes, {inflate = null, last_block = Infinity} = {}) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const found = [];
+    let position = 0;
+    while (position + 18 <= bytes.length && position <= last_block) {
+        if (bytes[position] !== 31 || bytes[position + 1] !== 139 || !(bytes[position + 3] & 4)) {
+            throw new Error(`Invalid BGZF block at offset ${position}`);
+        }
+        // The block size is stored in an extra header field, with the ID "BC"
+        const extra_length = view.getUint16(position + 10, true);
+        let block_size = null;
+        for (let i = position + 12; i < position + 12 + extra_length; i += 4 + view.getUint16(i + 2, true)) {
+            if (bytes[i] === 66 && bytes[i + 1] === 67) {
+                block_size = view.getUint16(i + 4, true) + 1;
+            }
+        }
+        if (block_size === null) {
+            throw new Error(`Invalid BGZF block at offset ${position}: block size not found`);
+        }
+        if (position + block_size > bytes.length) {
+            break;
+        }
+        found.push({
+            position,
+            block: bytes.subarray(position, position + block_size),
+            compressed: bytes.subarray(position + 12 + extra_length, position + block_size - 8),
+        });
+        position += block_size;
+    }
+
+    return Promise.all(found.map(({block, compressed}) => inflate ? inflate(compressed) : gunzip(block)))
+        .then((parts) => {
+            const data = new Uint8Array(parts.reduce((acc, part) => acc + part.length, 0));
+            const blocks = new Map();
+            let start = 0;
+            parts.forEach((part, i) => {
+                blocks.set(found[i].position, start);
+                data.set(part, start);
+                start += part.length;
+            });
+            return {data, blocks};
+        });
+}
+
+/**
+ * Parse a (decompressed) tabix index
+ * @param {Uint8Array} bytes
+ * @returns {Object} The index, including information about the file format, and the bins and linear index for
+ *  each sequence (by name)
+ */
+function parseTabixIndex(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]) !== 'TBI\u0001') {
+        throw new Error('Not a tabix index');
+    }
+    let position = 4;
+    const int32 = () => {
+        const value = view.getInt32(position, true);
+        position += 4;
+        return value;
+    };
+    const uint64 = () => {
+        const value = view.getUint32(position + 4, true) * 2 ** 32 + view.getUint32(position, true);
+        position += 8;
+        return value;
+    };
+
+    const n_ref = int32();
+    const format = int32();
+    const index = {
+        // 0 = generic, 1 = SAM, 2 = VCF. Coordinates are 1-based unless the file uses the UCSC (0-based) convention.
+        format: format & 0xffff,
+        zero_based: !!(format & 0x10000),
+        col_seq: int32(),
+        col_beg: int32(),
+        col_end: int32(),
+        meta: String.fromCharCode(int32()),
+        skip: int32(),
+        sequences: new Map(),
+    };
+
+    const names_length = int32();
+    const names = new TextDecoder().decode(bytes.subarray(position, position + names_length - 1)).split('\0');
+    position += names_length;
+
+    for (let ref = 0; ref < n_ref; ref++) {
+        const bins = new Map();
+        const n_bin = int32();
+        for (let b = 0; b < n_bin; b++) {
+            const bin = view.getUint32(position, true);
+            position += 4;
+            const n_chunk = int32();
+            const chunks = [];
+            for (let c = 0; c < n_chunk; c++) {
+                chunks.push({start: uint64(), end: uint64()});
+            }
+            if (bin !== PSEUDO_BIN) {
+                bins.set(bin, chunks);
+            }
+        }
+        const linear = [];
+        const n_intv = int32();
+        for (let i = 0; i < n_intv; i++) {
+            linear.push(uint64());
+        }
+        index.sequences.set(names[ref], {bins, linear});
+    }
+    return index;
+}
+
+/**
+ * List the bins that may contain features overlapping the (0-based, half-open) interval [start, end)
+ * @param {Number} start
+ * @param {Number} end
+ * @returns {Number[]}
+ */
+function regionToBins(start, end) {
+    end -= 1;
+    const bins = [0];
+    // Each level of the binning scheme: [first bin number at this level, size of each bin (as a bit shift)]
+    for (const [offset, shift] of [[1, 26], [9, 23], [73, 20], [585, 17], [4681, 14]]) {
+        for (let bin = offset + (start >> shift); bin <= offset + (end >> shift); bin++) {
+            bins.push(bin);
+        }
+    }
+    return bins;
+}
+
+/**
+ * Find the parts of the file (as ranges of virtual offsets) that may contain features overlapping the
+ *  (0-based, half-open) interval [start, end). Overlapping or adjacent ranges are merged.
+ * @param {Object} index
+ * @param {String} chr
+ * @param {Number} start
+ * @param {Number} end
+ * @returns {{start: Number, end: Number}[]}
+ */
+function getChunks(index, chr, start, end) {
+    const sequence = index.sequences.get(String(chr));
+    if (!sequence) {
+        return [];
+    }
+    // Nothing before this point can overlap the interval
+    const {linear} = sequence;
+    const window = start >> LINEAR_SHIFT;
+    const min_offset = linear.length ? linear[Math.min(window, linear.length - 1)] : 0;
+
+    const chunks = [];
+    for (const bin of regionToBins(start, end)) {
+        for (const chunk of (sequence.bins.get(bin) || [])) {
+            if (chunk.end > min_offset) {
+                chunks.push(chunk);
+            }
+        }
+    }
+    chunks.sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    for (const chunk of chunks) {
+        const last = merged[merged.length - 1];
+        if (last && splitVirtualOffset(chunk.start).block <= splitVirtualOffset(last.end).block) {
+            last.end = Math.max(last.end, chunk.end);
+        } else {
+            merged.push(Object.assign({}, chunk));
+        }
+    }
+    return merged;
+}
+
+
+/**
+ * Retrieve records for a genomic region from a bgzip-compressed, tabix-indexed file of delimited text (eg VCF, BED,
+ *  or association summary statistics). Requests must specify the options `chr`, `start`, and `end`
+ *  (1-based, inclusive).
+ *
+ * The index is read once (for each file), and reused for every request. Lines are parsed in the same way as `DelimitedTextAdapter`,
+ *  and accept the same options. By default, column names are taken from the last line of the file header
+ *  (eg `#chrom  pos  ref  alt`); files without a header must specify column names via the `columns` option.
+ *
+ * The URL may be a template (eg `/data/{chr}.tsv.gz`, for one file per chromosome); each file has its own index.
+ *
+ * The server must support HTTP Range requests.
+ */
+class TabixAdapter extends DelimitedTextAdapter {
+    constructor(config = {}) {
+        super(config);
+        const {
+            // Where to find the index (which may be a template, like the file URL). By default, this is the file URL
+            //  with ".tbi" appended.
+            index_url = null,
+            // Decompress raw DEFLATE data. By default, uses `DecompressionStream`; this can be replaced for
+            //  environments that don't provide it (eg with `pako.inflateRaw`)
+            inflate = null,
+        } = config;
+        this._index_url = index_url;
+        this._inflate = inflate;
+        // Promises for the index and header of each file, by URL
+        this._index = new Map();
+        this._header = new Map();
+
+        if (this._stream_format) {
+            throw new Error('Tabix-indexed files do not support streaming');
+        }
+    }
+
+    _getCacheKey(options) {
+        const {chr, start, end} = options;
+        if (chr === undefined || start === undefined || end === undefined) {
+            throw new Error('Tabix adapters require the options "chr", "start", and "end"');
+        }
+        return `${this._getURL(options)} ${chr}:${start}-${end}`;
+    }
+
+    /**
+     * Fetch part of a file, as bytes. (if the server ignores the Range header and sends the whole file, only the
+     *  requested part is kept)
+     * @param {String} url
+     * @param {Number} start The first byte to read
+     * @param {Number|null} end The last byte to read (inclusive), or null to read the rest of the file
+     * @param {Object} options
+     * @returns {Promise<Uint8Array>}
+     * @private
+     */
+    _fetchRange(url, start, end, options) {
+        const init = {method: 'GET', body: null, headers: {Range: `bytes=${start}-${end === null ? '' : end}`}};
+        const read_body = (response) => response.arrayBuffer().then((buffer) => {
+            const bytes = new Uint8Array(buffer);
+            if (response.status === 206) {
+                return bytes;
+            }
+            return bytes.subarray(start, end === null ? bytes.length : end + 1);
+        });
+        return this._fetchWithRetries(url, options, {read_body, init});
+    }
+
+    // The index and header are shared by every request, so they are loaded without any one request's signal. (a
+    //  request that is cancelled stops waiting for them, but won't stop other requests from using them)
+    _sharedOptions(options) {
+        const shared = Object.assign({}, options);
+        delete shared._signal;
+        return shared;
+    }
+
+    /**
+     * Build the URL of the index for a request, by filling in the URL template (if any) and query parameters
+     * @param {Object} options
+     * @returns {String}
+     * @private
+     */
+    _getIndexURL(options) {
+        if (this._index_url) {
+            return buildURL(this._index_url, options);
+        }
+        return buildURL(`${this._url}.tbi`, options, this._query_params);
+    }
+
+    /**
+     * Load the index for a file. This is only done once, unless the first attempt fails.
+     * @param {Object} options
+     * @returns {Promise<Object>}
+     * @private
+     */
+    _getIndex(options) {
+        const url = this._getIndexURL(options);
+        if (!this._index.has(url)) {
+            const index = this._fetchRange(url, 0, null, this._sharedOptions(options))
+                .then((bytes) => readBgzf(bytes, {inflate: this._inflate})
+                    .then(({data}) => parseTabixIndex(data))
+                    .catch((e) => {
+                        throw new AdapterParseError(
+                            `Unable to read tabix index: ${e.message}`,
+                            {provider: options._provider_name, url, cause: e},
+                        );
+                    }))
+                .catch((e) => {
+                    this._index.delete(url);
+                    throw e;
+                });
+            this._index.set(url, index);
+        }
+        return this._index.get(url);
+    }
+
+    /**
+     * Decompress the text found between two virtual offsets
+     * @param {Number} start
+     * @param {Number} end
+     * @param {Object} options
+     * @returns {Promise<String>}
+     * @private
+     */
+    _readText(start, end, options) {
+        const first = splitVirtualOffset(start);
+        const last = splitVirtualOffset(end);
+        const url = this._getURL(options);
+        // The last block may be up to the maximum block size
+        return this._fetchRange(url, first.block, last.block + MAX_BLOCK_SIZE - 1, options)
+            .then((bytes) => readBgzf(bytes, {inflate: this._inflate, last_block: last.block - first.block})
+                .catch((e) => {
+                    throw new AdapterParseError(
+                        `Unable to read compressed data: ${e.message}`,
+                        {provider: options._provider_name, url, cause: e},
+                    );
+                }))
+            .then(({data, blocks}) => {
+                const last_start = blocks.get(last.block - first.block);
+                // A chunk may end at the very start of a block that isn't included (eg the end of the file)
+                const data_end = last_start === undefined ? data.length : last_start + last.offset;
+                return new TextDecoder().decode(data.subarray(first.offset, data_end));
+            });
+    }
+
+    /**
+     * Find the column names, from the last line of the file header. The header is read once (for each file), and
+     *  reused.
+     * @param {Object} index
+     * @param {Object} options
+     * @returns {Promise<String|null>} The column names, as a line of delimited text
+     * @private
+     */
+    _getHeader(index, options) {
+        if (!this._has_header) {
+            return Promise.resolve(null);
+        }
+        const url = this._getURL(options);
+        if (!this._header.has(url)) {
+            // The header is everything before the first record
+            let first_record = Infinity;
+            for (const {bins} of index.sequences.values()) {
+                for (const chunks of bins.values()) {
+                    for (const chunk of chunks) {
+                        first_record = Math.min(first_record, chunk.start);
+                    }
+                }
+            }
+            const text = (first_record === Infinity || !first_record)
+                ? Promise.resolve('')
+                : this._readText(0, first_record, this._sharedOptions(options));
+            const result = text.then((header) => {
+                const lines = header.split('\n')
+                    .map((line) => line.replace(/\r$/, ''))
+                    .filter((line, i) => line && (i < index.skip || line.startsWith(index.meta)));
+                const columns = lines[lines.length - 1];
+                if (!columns) {
+                    throw new AdapterParseError(
+                        'Unable to find column names in the file header. Specify them as option "columns".',
+                        {provider: options._provider_name, url},
+                    );
+                }
+                return columns.startsWith(index.meta) ? columns.slice(index.meta.length) : columns;
+            }).catch((e) => {
+                this._header.delete(url);
+                throw e;
+            });
+            this._header.set(url, result);
+        }
+        return this._header.get(url);
+    }
+
+    /**
+     * Check whether a line of the file describes a feature that overlaps the (0-based, half-open) interval
+     *  [start, end). Chunks of the file found via the index may also contain features from nearby regions.
+     * @private
+     */
+    _overlaps(line, index, chr, start, end) {
+        if (!line || line.startsWith(index.meta)) {
+            return false;
+        }
+        const fields = line.split('\t');
+        if (fields[index.col_seq - 1] !== String(chr)) {
+            return false;
+        }
+        let feature_start = Number.parseInt(fields[index.col_beg - 1], 10);
+        let feature_end;
+        if (index.format === 2) {
+            // VCF: the feature spans the reference allele
+            feature_start -= 1;
+            feature_end = feature_start + fields[3].length;
+        } else {
+            if (!index.zero_based) {
+                feature_start -= 1;
+            }
+            feature_end = index.col_end ? Number.parseInt(fields[index.col_end - 1], 10) : feature_start + 1;
+        }
+        return feature_start < end && feature_end > start;
+    }
+
+    // Returns the matching lines of the file (and column names, if any), as text to be parsed like any other file
+    _performRequest(options) {
+        const {chr, start, end} = options;
+        if (!this._url) {
+            throw new Error('Web based resources must specify a resource URL as option "url"');
+        }
+        return this._getIndex(options)
+            .then((index) => {
+                const chunks = getChunks(index, chr, start - 1, end);
+                return Promise.all([
+                    this._getHeader(index, options),
+                    Promise.all(chunks.map((chunk) => this._readText(chunk.start, chunk.end, options))),
+                ]).then(([header, texts]) => {
+                    const lines = [];
+                    for (const text of texts) {
+                        for (const line of text.split('\n')) {
+                            if (this._overlaps(line.replace(/\r$/, ''), index, chr, start - 1, end)) {
+                                lines.push(line);
+                            }
+                        }
+                    }
+                    if (header !== null) {
+                        lines.unshift(header);
+                    }
+                    return lines.join('\n');
+                });
+            });
+    }
+}
+
+export { TabixAdapter, getChunks, parseTabixIndex, readBgzf, regionToBins };
@@ -1,15 +1,127 @@
 import justclone from 'just-clone';
 
+import {AbortError} from './errors';
+
 /**
  * The "just-clone" library only really works for objects and arrays. If given a string, it would mess things up quite a lot.
  * @param data
  * @returns {*}
  */
 function clone(data) {
-    if (typeof data !== 'object') {
+    if (data === null || typeof data !== 'object') {
         return data;
     }
     return justclone(data);
 }
 
-export { clone };
+/**
+ * Throw a recognizable error if the provided signal (if any) has already been aborted
+ * @param {AbortSignal} [signal]
+ */
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw new AbortError();
+    }
+}
+
+/**
+ * Wrap a promise so that it rejects as soon as the signal is aborted, even if the underlying operation does not know
+ *  how to stop. (the operation may still finish in the background, but nobody will be waiting on the result)
+ * @param {Promise} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise}
+ */
+function abortable(promise, signal) {
+    if (!signal) {
+        return promise;
+    }
+    if (signal.aborted) {
+        return Promise.reject(new AbortError());
+    }
+    return new Promise((resolve, reject) => {
+        const on_abort = () => reject(new AbortError());
+        signal.addEventListener('abort', on_abort, {once: true});
+        promise.then(
+            (value) => {
+                signal.removeEventListener('abort', on_abort);
+                resolve(value);
+            },
+            (error) => {
+                signal.removeEventListener('abort', on_abort);
+                // Whatever the operation reported (eg a DOMException from fetch), an aborted request should fail the same way
+                reject(signal.aborted ? new AbortError() : error);
+            },
+        );
+    });
+}
+
+/**
+ * Wait for the specified amount of time. Stops waiting (and rejects) if the signal is aborted.
+ * @param {Number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise}
+ */
+function sleep(ms, signal) {
+    let timer;
+    const result = new Promise((resolve) => {
+        timer = setTimeout(resolve, ms);
+    });
+    return abortable(result, signal)
+        .catch((e) => {
+            clearTimeout(timer);
+            throw e;
+        });
+}
+
+/**
+ * Build a URL from a template, by filling in placeholders like `{name}` with (encoded) values. Placeholders are
+ *  required, unless marked as optional (`{name?}`), in which case a missing value is left blank.
+ *
+ * @example
+ * buildURL('/api/{build}/region', {build: 'GRCh38', chr: '1'}, {chrom: '{chr}', format: 'json'});
+ * // => '/api/GRCh38/region?chrom=1&format=json'
+ *
+ * @param {String} template
+ * @param {Object} values Values for each placeholder. Missing values are undefined or null.
+ * @param {Object} [query_params] Query parameters to add to the URL, as {name: template}. Parameters that are
+ *  blank after their placeholders have been filled in are left out.
+ * @returns {String}
+ */
+function buildURL(template, values, query_params = {}) {
+    const fill = (text) => text.replace(/{([^{}?]+)(\??)}/g, (match, name, optional) => {
+        const value = values[name];
+        if (value === undefined || value === null) {
+            if (optional) {
+                return '';
+            }
+            throw new Error(`Missing value for URL parameter "${name}" (in "${template}")`);
+        }
+        return encodeURIComponent(value);
+    });
+
+    let url = fill(template);
+    const query = Object.keys(query_params)
+        .map((name) => [name, fill(String(query_params[name]))])
+        .filter(([, value]) => value !== '')
+        .map(([name, value]) => `${encodeURIComponent(name)}=${value}`);
+    if (query.length) {
+        url += `${url.includes('?') ? '&' : '?'}${query.join('&')}`;
+    }
+    return url;
+}
+
+/**
+ * Describe the options that determine what data is returned, as a string that can be used in a cache key. Special
+ *  options (eg `_signal`) describe the request rather than the data, and are ignored.
+ * @param {Object} options
+ * @param {String[]} [exclude] Other options to ignore
+ * @returns {String}
+ */
+function optionsKey(options, exclude = []) {
+    const keys = Object.keys(options)
+        .filter((key) => !key.startsWith('_') && !exclude.includes(key))
+        .sort();
+    return JSON.stringify(keys.map((key) => [key, options[key]]));
+}
+
+export { abortable, buildURL, clone, optionsKey, sleep, throwIfAborted };
@@ -1,6 +1,11 @@
 import {assert} from 'chai';
+import {getEventListeners} from 'events';
 
 import {BaseAdapter, BaseUrlAdapter} from '../esm/adapter.js';
+import {AbortError, AdapterHTTPError, AdapterParseError, TimeoutError} from '../esm/errors';
+import {LRUCache} from '../esm/lru_cache';
+import {MemoryStorage, PersistentCache} from '../esm/persistent_cache';
+import {buildURL} from '../esm/util';
 
 
 class TestCacheQuirks extends BaseAdapter {
@@ -155,9 +160,465 @@ describe('BaseAdapter', function () {
                 assert.equal(value_from_error, 2, 'Second request is counted as 2 because rejections are removed from cache');
             });
     });
+
+    describe('observability', function () {
+        it('emits events and reports statistics about cache usage', function () {
+            const source = new TestAdapter({cache_size: 2});
+            const events = [];
+            ['hit', 'miss'].forEach((name) => source.on(name, ({key, provider}) => events.push([name, key, provider])));
+
+            return source.getData({somevalue: 1, _provider_name: 'assoc'})
+                .then(() => source.getData({somevalue: 1, _provider_name: 'assoc'}))
+                .then(() => {
+                    assert.deepEqual(events, [['miss', 1, 'assoc'], ['hit', 1, 'assoc']]);
+                    const stats = source.stats();
+                    assert.equal(stats.hits, 1);
+                    assert.equal(stats.misses, 1);
+                    assert.equal(stats.hit_ratio, 0.5);
+                    assert.equal(stats.cache.size, 1, 'Includes statistics from the cache');
+                    assert.deepEqual(stats.dedupe, {hits: 0, misses: 1, pending: 0});
+                });
+        });
+
+        it('reports when a failed request is removed from cache', function () {
+            class TestCacheRejection extends BaseAdapter {
+                _getCacheKey(options) {
+                    return 'always_same_key';
+                }
+
+                _performRequest(options) {
+                    return Promise.reject(new Error('Request failed'));
+                }
+            }
+
+            const source = new TestCacheRejection();
+            let event;
+            source.on('remove_on_reject', (data) => event = data);
+            return source.getData({})
+                .catch(() => {
+                    assert.equal(event.key, 'always_same_key');
+                    assert.equal(event.error.message, 'Request failed');
+                    assert.equal(source.stats().removed_on_reject, 1);
+                    assert.equal(source.stats().cache.removals, 1);
+                });
+        });
+    });
+
+    describe('custom cache', function () {
+        it('can limit the cache by the size of its entries', function () {
+            const source = new TestAdapter({cache_max_weight: 200});
+            return Promise.all([1, 2, 3, 4].map((somevalue) => source.getData({somevalue})))
+                .then(() => {
+                    assert.equal(source._cache._cur_size, 4, 'Number of entries is not limited');
+                    assert.isAbove(source._cache.weight, 0);
+                    assert.isAtMost(source._cache.weight, 200);
+
+                    const small = new TestAdapter({cache_max_weight: 100});
+                    return Promise.all([1, 2, 3, 4].map((somevalue) => small.getData({somevalue})))
+                        .then(() => assert.isBelow(small._cache._cur_size, 4, 'Entries are evicted to fit the budget'));
+                });
+        });
+
+        it('can use a cache that is shared between several adapters', function () {
+            const cache = new LRUCache(10);
+            const first = new TestAdapter({cache});
+            const second = new TestAdapter({cache});
+            return first.getData({somevalue: 1})
+                .then(() => {
+                    assert.equal(second._cache, cache);
+                    assert.ok(second._cache.has(1), 'Data requested by one adapter is visible to the other');
+                });
+        });
+
+        it('can use an asynchronous, persistent cache', function () {
+            let request_count = 0;
+            class TestCountedAdapter extends TestAdapter {
+                _performRequest(options) {
+                    request_count += 1;
+                    return super._performRequest(options);
+                }
+            }
+
+            const storage = new MemoryStorage();
+            const source = new TestCountedAdapter({cache: new PersistentCache(storage)});
+            let first_result;
+            return source.getData({somevalue: 1})
+                .then((result) => {
+                    first_result = result;
+                    // Simulate a page reload: a new adapter, using the same underlying storage
+                    const reloaded = new TestCountedAdapter({cache: new PersistentCache(storage)});
+                    return reloaded.getData({somevalue: 1});
+                })
+                .then((result) => {
+                    assert.deepEqual(result, first_result, 'Cache hit returns the same data');
+                    assert.equal(request_count, 1, 'Data was read from the persistent cache');
+                });
+        });
+
+        it('reads each persistent cache entry only once per hit', function () {
+            const storage = new MemoryStorage();
+            const reads = [];
+            const getItem = storage.getItem.bind(storage);
+            storage.getItem = (key) => {
+                if (!key.endsWith('\u0000index')) {
+                    reads.push(key);
+                }
+                return getItem(key);
+            };
+            const fresh = new TestAdapter({cache: new PersistentCache(storage)});
+            const stale = new TestAdapter({
+                cache: new PersistentCache(storage, {namespace: 'stale', ttl: 0}),
+                stale_while_revalidate: true,
+            });
+            return Promise.all([fresh.getData({somevalue: 1}), stale.getData({somevalue: 1})])
+                // Let the cache finish storing the new entries
+                .then(() => new Promise((resolve) => setTimeout(resolve, 10)))
+                .then(() => {
+                    reads.length = 0;
+                    return fresh.getData({somevalue: 1});
+                })
+                .then(() => {
+                    assert.equal(reads.length, 1, 'A fresh hit reads the entry once');
+                    reads.length = 0;
+                    return stale.getData({somevalue: 1});
+                })
+                .then((result) => {
+                    assert.equal(result.length, 2, 'Stale data is returned');
+                    assert.equal(reads.length, 1, 'A stale hit reads the entry once');
+                });
+        });
+
+        it('ignores failures to store data in an asynchronous cache', function () {
+            const cache = new PersistentCache(new MemoryStorage());
+            // Custom caches may not handle failures themselves
+            cache.add = () => Promise.reject(new Error('Storage is full'));
+            cache.remove = () => Promise.reject(new Error('Storage is broken'));
+
+            const unhandled = [];
+            const listener = (reason) => unhandled.push(reason);
+            process.on('unhandledRejection', listener);
+            const source = new TestAdapter({cache});
+            return source.getData({somevalue: 1})
+                .then((result) => {
+                    assert.equal(result.length, 2, 'Data is still returned');
+                    return new Promise((resolve) => setTimeout(resolve, 10));
+                })
+                .then(() => assert.deepEqual(unhandled, []))
+                .finally(() => process.removeListener('unhandledRejection', listener));
+        });
+    });
+
+    describe('cache expiration', function () {
+        class TestChangingData extends BaseAdapter {
+            constructor(config) {
+                super(config);
+                this.request_count = 0;
+            }
+
+            _getCacheKey(options) {
+                return 'always_same_key';
+            }
+
+            _performRequest(options) {
+                this.request_count += 1;
+                return Promise.resolve(this.request_count);
+            }
+        }
+
+        it('requests new data when the cached data expires', function () {
+            const source = new TestChangingData({cache_ttl: 0});
+            return source.getData()
+                .then((result) => {
+                    assert.equal(result, 1);
+                    return source.getData();
+                })
+                .then((result) => assert.equal(result, 2, 'Expired data was requested again'));
+        });
+
+        it('allows each request to specify when its data expires', function () {
+            class TestEntryTTL extends TestChangingData {
+                _buildRequestOptions(options) {
+                    return {_cache_meta: {ttl: 60000}};
+                }
+            }
+            const source = new TestEntryTTL({cache_ttl: 0});
+            return source.getData()
+                .then(() => source.getData())
+                .then((result) => assert.equal(result, 1, 'Cached data was used'));
+        });
+
+        it('can respond with stale data while refreshing in the background', function () {
+            const source = new TestChangingData({cache_ttl: 0, stale_while_revalidate: true});
+            return source.getData()
+                .then((result) => {
+                    assert.equal(result, 1);
+                    return source.getData();
+                })
+                .then((result) => {
+                    assert.equal(result, 1, 'Stale data is returned immediately');
+                    // Allow the background refresh to finish
+                    return new Promise((resolve) => setTimeout(resolve, 0));
+                })
+                .then(() => {
+                    assert.equal(source.request_count, 2, 'Data was refreshed in the background');
+                    return source.getData();
+                })
+                .then((result) => assert.equal(result, 2, 'Refreshed data is used for the next request'));
+        });
+
+        it('does not send batches from a background refresh to the caller who received stale data', function () {
+            class TestStreamedData extends TestChangingData {
+                _performRequest(options) {
+                    this.seen_options = options;
+                    return super._performRequest(options).then((result) => {
+                        if (options._on_batch) {
+                            options._on_batch([result]);
+                        }
+                        return result;
+                    });
+                }
+            }
+            const source = new TestStreamedData({cache_ttl: 0, stale_while_revalidate: true});
+            const batches = [];
+            const controller = new AbortController();
+            return source.getData({_on_batch: (batch) => batches.push(batch)})
+                .then(() => source.getData({_on_batch: (batch) => batches.push(batch), _signal: controller.signal}))
+                .then(() => new Promise((resolve) => setTimeout(resolve, 0)))
+                .then(() => {
+                    assert.equal(source.request_count, 2, 'Data was refreshed in the background');
+                    assert.deepEqual(batches, [[1], 1], 'Each caller only received its own data');
+                    assert.notOk(source.seen_options._signal, 'The refresh is not tied to the caller\'s signal');
+                });
+        });
+
+        it('keeps stale data if a background refresh fails', function () {
+            class TestFailedRefresh extends TestChangingData {
+                _performRequest(options) {
+                    this.request_count += 1;
+                    return this.request_count > 1 ? Promise.reject(new Error('Server is down')) : Promise.resolve(1);
+                }
+            }
+            const source = new TestFailedRefresh({cache_ttl: 0, stale_while_revalidate: true});
+            return source.getData()
+                .then(() => source.getData())
+                .then(() => new Promise((resolve) => setTimeout(resolve, 0)))
+                .then(() => {
+                    assert.equal(source.request_count, 2, 'A refresh was attempted');
+                    return source.getData();
+                })
+                .then((result) => assert.equal(result, 1, 'Stale data is still available'));
+        });
+    });
+
+    describe('request de-duplication', function () {
+        class TestCountedRequest extends BaseAdapter {
+            constructor(config) {
+                super(config);
+                this.request_count = 0;
+            }
+
+            _getCacheKey(options) {
+                return options.somevalue;
+            }
+
+            _performRequest(options) {
+                this.request_count += 1;
+                return new Promise((resolve) => setTimeout(() => resolve([{ a: 1 }]), 0));
+            }
+        }
+
+        it('shares one request between identical calls, even if the cache is disabled', function () {
+            const source = new TestCountedRequest({cache_enabled: false, cache_size: 0});
+            const requests = [1, 1, 2].map((somevalue) => source.getData({somevalue}));
+            assert.equal(source._dedupe.size, 2, 'Two distinct requests are in progress');
+            return Promise.all(requests).then(([first, second]) => {
+                assert.equal(source.request_count, 2, 'Identical requests were only performed once');
+                assert.equal(source._dedupe.hits, 1);
+                assert.equal(source._dedupe.misses, 2);
+                assert.deepEqual(first, second);
+                assert.notStrictEqual(first, second, 'Each caller receives its own copy of the data');
+                assert.equal(source._dedupe.size, 0, 'Finished requests are no longer tracked');
+
+                return source.getData({somevalue: 1});
+            }).then(() => assert.equal(source.request_count, 3, 'Later requests are not de-duplicated'));
+        });
+
+        it('does not leave listeners on a signal after requests finish', function () {
+            const source = new TestCountedRequest();
+            const controller = new AbortController();
+            const requests = [];
+            for (let somevalue = 0; somevalue < 30; somevalue++) {
+                requests.push(source.getData({somevalue, _signal: controller.signal}));
+                // A cache hit joins the request in progress
+                requests.push(source.getData({somevalue, _signal: controller.signal}));
+            }
+            return Promise.all(requests)
+                .then(() => assert.equal(getEventListeners(controller.signal, 'abort').length, 0));
+        });
+
+        it('can be disabled', function () {
+            const source = new TestCountedRequest({cache_enabled: false, dedupe_enabled: false});
+            return Promise.all([source.getData({somevalue: 1}), source.getData({somevalue: 1})])
+                .then(() => assert.equal(source.request_count, 2));
+        });
+
+        it('only cancels a shared request when every caller has cancelled', function () {
+            const source = new TestCountedRequest({cache_size: 0});
+            const first_controller = new AbortController();
+            const second_controller = new AbortController();
+            const first = source.getData({somevalue: 1, _signal: first_controller.signal});
+            const second = source.getData({somevalue: 1, _signal: second_controller.signal});
+            const third = source.getData({somevalue: 1});
+
+            first_controller.abort();
+            return first
+                .then(() => assert.fail('Cancelled request should reject'))
+                .catch((e) => {
+                    assert.instanceOf(e, AbortError);
+                    return Promise.all([second, third]);
+                })
+                .then(([second_result, third_result]) => {
+                    assert.deepEqual(second_result, [{ a: 1 }], 'Other callers still receive data');
+                    assert.deepEqual(third_result, [{ a: 1 }]);
+                    assert.equal(source.request_count, 1);
+                });
+        });
+
+        it('does not let one caller cancel a cached request that another caller is waiting for', function () {
+            const source = new TestCountedRequest();
+            const controller = new AbortController();
+            const first = source.getData({somevalue: 1, _signal: controller.signal});
+            // Found in the cache, rather than joining the request directly
+            const second = source.getData({somevalue: 1});
+            assert.equal(source._dedupe.hits, 0);
+
+            controller.abort();
+            return first
+                .then(() => assert.fail('Cancelled request should reject'))
+                .catch((e) => {
+                    assert.instanceOf(e, AbortError);
+                    return second;
+                })
+                .then((result) => {
+                    assert.deepEqual(result, [{ a: 1 }], 'The caller who did not cancel still receives data');
+                    assert.equal(source.request_count, 1);
+                    assert.ok(source._cache.has(1), 'The request is still cached');
+                });
+        });
+
+        it('does not let one caller cancel a cached request, even without de-duplication', function () {
+            const source = new TestCountedRequest({dedupe_enabled: false});
+            const controller = new AbortController();
+            const first = source.getData({somevalue: 1, _signal: controller.signal});
+            const second = source.getData({somevalue: 1});
+            controller.abort();
+            return first
+                .catch((e) => assert.instanceOf(e, AbortError))
+                .then(() => second)
+                .then((result) => assert.deepEqual(result, [{ a: 1 }]));
+        });
+    });
+
+    describe('request cancellation', function () {
+        class TestSlowRequest extends BaseAdapter {
+            _getCacheKey(options) {
+                return 'always_same_key';
+            }
+
+            _performRequest(options) {
+                this.seen_signal = options._signal;
+                // Never resolves on its own: only cancellation can end this request
+                return new Promise(() => {});
+            }
+        }
+
+        it('passes the signal to the request, even if options are rebuilt', function () {
+            class TestRebuiltOptions extends TestSlowRequest {
+                _buildRequestOptions(options) {
+                    return {};
+                }
+            }
+            const controller = new AbortController();
+            const source = new TestRebuiltOptions();
+            const result = source.getData({_signal: controller.signal});
+            assert.instanceOf(source.seen_signal, AbortSignal, 'A signal was passed through to _performRequest');
+            controller.abort();
+            assert.ok(source.seen_signal.aborted, 'Cancelling the request aborts the signal seen by _performRequest');
+            return result.catch((e) => assert.instanceOf(e, AbortError));
+        });
+
+        it('rejects with an AbortError and removes the request from cache', function () {
+            const controller = new AbortController();
+            const source = new TestSlowRequest();
+            const result = source.getData({_signal: controller.signal});
+            assert.ok(source._cache.has('always_same_key'), 'Pending request is cached');
+            controller.abort();
+            return result
+                .then(() => assert.fail('Aborted request should reject'))
+                .catch((e) => {
+                    assert.instanceOf(e, AbortError, 'Rejects with a recognizable error type');
+                    assert.notOk(source._cache.has('always_same_key'), 'Aborted request was evicted from cache');
+                });
+        });
+
+        it('does not start a request if the signal was already aborted', function () {
+            const controller = new AbortController();
+            controller.abort();
+            const source = new TestSlowRequest();
+            return source.getData({_signal: controller.signal})
+                .catch((e) => {
+                    assert.instanceOf(e, AbortError);
+                    assert.isUndefined(source.seen_signal, 'Request was never performed');
+                    assert.notOk(source._cache.has('always_same_key'), 'Nothing was cached');
+                });
+        });
+    });
 });
 
+/**
+ * Just enough of the fetch Response interface to exercise the adapter
+ */
+function fakeResponse(status, body = '', headers = {}) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        statusText: `Status ${status}`,
+        headers: { get: (name) => headers[name] || null },
+        text: () => Promise.resolve(body),
+    };
+}
+
+/**
+ * A real fetch Response, whose body arrives in several chunks
+ */
+function streamedResponse(chunks) {
+    const encoder = new TextEncoder();
+    const body = new ReadableStream({
+        start(controller) {
+            chunks.forEach((chunk) => controller.enqueue(encoder.encode(chunk)));
+            controller.close();
+        },
+    });
+    return new Response(body);
+}
+
 describe('BaseURLAdapter', function () {
+    beforeEach(function () {
+        this.original_fetch = global.fetch;
+        // Tests can replace this with a sequence of responses (or functions that return a response)
+        this.responses = [];
+        this.fetch_calls = [];
+        global.fetch = (url, init) => {
+            this.fetch_calls.push([url, init]);
+            const next = this.responses.shift();
+            return Promise.resolve(typeof next === 'function' ? next(url, init) : next);
+        };
+    });
+
+    afterEach(function () {
+        global.fetch = this.original_fetch;
+    });
+
     it('Requests throw an error when a URL is not provided', function () {
         const source = new BaseUrlAdapter({});
         assert.throws(
@@ -165,4 +626,356 @@ describe('BaseURLAdapter', function () {
             /must specify a resource URL/,
         );
     });
+
+    it('passes an AbortSignal to fetch', function () {
+        this.responses.push((url, init) => new Promise((resolve, reject) => {
+            init.signal.addEventListener('abort', () => reject(new Error('A fetch-specific error')));
+        }));
+
+        const controller = new AbortController();
+        const source = new BaseUrlAdapter({url: 'https://somewhere.example'});
+        const result = source.getData({_signal: controller.signal});
+        controller.abort();
+        return result
+            .then(() => assert.fail('Aborted request should reject'))
+            .catch((e) => {
+                assert.ok(this.fetch_calls[0][1].signal.aborted, 'Signal given to fetch was aborted');
+                assert.instanceOf(e, AbortError, 'Fetch-specific errors are replaced with a recognizable error type');
+            });
+    });
+
+    it('reports the details of an HTTP error', function () {
+        this.responses.push(fakeResponse(400, '{"error": "Region too large"}'));
+        const source = new BaseUrlAdapter({url: 'https://somewhere.example'});
+        return source.getData({_provider_name: 'assoc'})
+            .then(() => assert.fail('Failed request should reject'))
+            .catch((e) => {
+                assert.instanceOf(e, AdapterHTTPError);
+                assert.equal(e.status, 400);
+                assert.equal(e.status_text, 'Status 400');
+                assert.equal(e.url, 'https://somewhere.example');
+                assert.equal(e.provider, 'assoc');
+                assert.deepEqual(JSON.parse(e.body), {error: 'Region too large'}, 'Server error message is available');
+            });
+    });
+
+    it('reports responses that could not be parsed', function () {
+        this.responses.push(fakeResponse(200, '<html>Not JSON</html>'));
+        const source = new BaseUrlAdapter({url: 'https://somewhere.example'});
+        return source.getData({_provider_name: 'assoc'})
+            .then(() => assert.fail('Unparseable response should reject'))
+            .catch((e) => {
+                assert.instanceOf(e, AdapterParseError);
+                assert.equal(e.provider, 'assoc');
+                assert.equal(e.url, 'https://somewhere.example');
+                assert.equal(e.body, '<html>Not JSON</html>');
+                assert.instanceOf(e.cause, SyntaxError);
+            });
+    });
+
+    describe('retries and timeouts', function () {
+        it('does not retry by default', function () {
+            this.responses.push(fakeResponse(503));
+            const source = new BaseUrlAdapter({url: 'https://somewhere.example'});
+            return source.getData()
+                .then(() => assert.fail('Failed request should reject'))
+                .catch((e) => {
+                    assert.match(e.message, /503/);
+                    assert.equal(this.fetch_calls.length, 1, 'Only one attempt was made');
+                });
+        });
+
+        it('retries temporary failures until the request succeeds', function () {
+            this.responses.push(
+                fakeResponse(502),
+                () => Promise.reject(new TypeError('Network error')),
+                fakeResponse(200, '[{"a": 1}]'),
+            );
+            const source = new BaseUrlAdapter({url: 'https://somewhere.example', max_attempts: 3, retry_delay: 1});
+            const result = source.getData();
+            assert.ok(source._cache.has('https://somewhere.example'), 'Request stays in cache while retrying');
+            return result.then((records) => {
+                assert.deepEqual(records, [{a: 1}]);
+                assert.equal(this.fetch_calls.length, 3, 'Request was tried until it succeeded');
+            });
+        });
+
+        it('reports the last failure and removes it from cache only after the final attempt', function () {
+            this.responses.push(fakeResponse(503), fakeResponse(504));
+            const source = new BaseUrlAdapter({url: 'https://somewhere.example', max_attempts: 2, retry_delay: 1});
+            return source.getData()
+                .then(() => assert.fail('Failed request should reject'))
+                .catch((e) => {
+                    assert.match(e.message, /504/, 'Reports the outcome of the final attempt');
+                    assert.equal(this.fetch_calls.length, 2);
+                    assert.notOk(source._cache.has('https://somewhere.example'), 'Failed request was removed from cache');
+                });
+        });
+
+        it('does not retry errors that are not temporary', function () {
+            this.responses.push(fakeResponse(404), fakeResponse(200, '[]'));
+            const source = new BaseUrlAdapter({url: 'https://somewhere.example', max_attempts: 3, retry_delay: 1});
+            return source.getData()
+                .then(() => assert.fail('Failed request should reject'))
+                .catch((e) => {
+                    assert.match(e.message, /404/);
+                    assert.equal(this.fetch_calls.length, 1);
+                });
+        });
+
+        it('does not retry responses that could not be parsed', function () {
+            this.responses.push(
+                streamedResponse(['not json\n']),
+                streamedResponse(['{"a": 1}\n']),
+            );
+            const source = new BaseUrlAdapter({
+                url: 'https://somewhere.example', stream_format: 'ndjson', max_attempts: 3, retry_delay: 1,
+            });
+            return source.getData()
+                .then(() => assert.fail('Unparseable response should reject'))
+                .catch((e) => {
+                    assert.instanceOf(e, AdapterParseError);
+                    assert.equal(this.fetch_calls.length, 1, 'The same response would fail the same way');
+                });
+        });
+
+        it('gives up if the server asks to wait longer than allowed', function () {
+            this.responses.push(fakeResponse(429, '', {'Retry-After': '120'}), fakeResponse(200, '[]'));
+            const source = new BaseUrlAdapter({url: 'https://somewhere.example', max_attempts: 3});
+            return source.getData()
+                .then(() => assert.fail('Failed request should reject'))
+                .catch((e) => assert.equal(this.fetch_calls.length, 1));
+        });
+
+        it('calculates the delay between attempts', function () {
+            const source = new BaseUrlAdapter({retry_delay: 100, retry_max_delay: 300, retry_jitter: false});
+            assert.equal(source._getRetryDelay(1), 100, 'Uses the base delay after the first attempt');
+            assert.equal(source._getRetryDelay(2), 200, 'Backs off exponentially');
+            assert.equal(source._getRetryDelay(5), 300, 'Delay is capped');
+
+            assert.equal(source._getRetryDelay(1, fakeResponse(503, '', {'Retry-After': '2'})), 2000, 'Respects Retry-After in seconds');
+            const when = new Date(Date.now() + 60000).toUTCString();
+            const delay = source._getRetryDelay(1, fakeResponse(503, '', {'Retry-After': when}));
+            assert.isAbove(delay, 55000, 'Respects Retry-After as an HTTP date');
+
+            const jittered = new BaseUrlAdapter({retry_delay: 100});
+            const value = jittered._getRetryDelay(2);
+            assert.ok(value >= 100 && value <= 200, 'Jitter varies the delay within a bounded range');
+        });
+
+        it('times out requests that take too long', function () {
+            this.responses.push(() => new Promise(() => {}), () => new Promise(() => {}));
+            const source = new BaseUrlAdapter({url: 'https://somewhere.example', timeout: 5, max_attempts: 2, retry_delay: 1});
+            return source.getData()
+                .then(() => assert.fail('Request should time out'))
+                .catch((e) => {
+                    assert.instanceOf(e, TimeoutError);
+                    assert.equal(this.fetch_calls.length, 2, 'Timeouts can be retried');
+                    assert.ok(this.fetch_calls[0][1].signal.aborted, 'The timed out request is cancelled');
+                });
+        });
+
+        it('validates retry options', function () {
+            assert.throws(
+                () => new BaseUrlAdapter({max_attempts: 0}),
+                /must be >= 1/,
+            );
+        });
+    });
+
+    describe('URL building', function () {
+        it('fills in placeholders and query parameters, with encoding', function () {
+            const values = {build: 'GRCh38', chr: '1', start: 100, variant: '1:100_A/G'};
+            assert.equal(
+                buildURL('https://api.example/{build}/region?chrom={chr}&start={start}', values),
+                'https://api.example/GRCh38/region?chrom=1&start=100',
+            );
+            assert.equal(
+                buildURL('/ld/{build}', values, {variant: '{variant}', 'page size': 50}),
+                '/ld/GRCh38?variant=1%3A100_A%2FG&page%20size=50',
+            );
+            assert.equal(
+                buildURL('/ld/{build}?format=json', values, {filter: '{filter?}', variant: '{variant}'}),
+                '/ld/GRCh38?format=json&variant=1%3A100_A%2FG',
+                'Blank query parameters are left out',
+            );
+            assert.equal(buildURL('/api/{build}/{population?}', values), '/api/GRCh38/');
+        });
+
+        it('reports missing values', function () {
+            assert.throws(
+                () => buildURL('/api/{build}/region', {build: null}),
+                /Missing value for URL parameter "build" \(in "\/api\/{build}\/region"\)/,
+            );
+        });
+
+        it('builds each URL from request options and dependent data, and uses it as the cache key', function () {
+            this.responses.push(fakeResponse(200, '[]'));
+            const source = new BaseUrlAdapter({
+                url: 'https://api.example/{build}/ld',
+                query_params: {variant: '{variant}', chrom: '{chr}'},
+                url_values: (options, assoc_data) => ({variant: assoc_data[0].variant}),
+            });
+            const options = {build: 'GRCh37', chr: '2'};
+            const url = 'https://api.example/GRCh37/ld?variant=2%3A500_C%2FT&chrom=2';
+            return source.getData(options, [{variant: '2:500_C/T'}])
+                .then(() => {
+                    assert.equal(this.fetch_calls[0][0], url);
+                    assert.ok(source._cache.has(url), 'Response was cached using the URL');
+                });
+        });
+
+        it('rejects requests that are missing a required parameter', function () {
+            const source = new BaseUrlAdapter({url: 'https://api.example/{build}/region'});
+            assert.throws(() => source.getData({chr: '1'}), /Missing value for URL parameter "build"/);
+            assert.equal(this.fetch_calls.length, 0);
+        });
+    });
+
+    describe('request options', function () {
+        it('sends queries as JSON, and caches each query separately', function () {
+            this.responses.push(fakeResponse(200, '[{"id": 1}]'), fakeResponse(200, '[{"id": 2}]'));
+            const source = new BaseUrlAdapter({
+                url: 'https://api.example/graphql',
+                body: (options) => ({query: 'query ($chr: String) { variants(chr: $chr) { id } }', variables: {chr: options.chr}}),
+            });
+            return Promise.all([
+                source.getData({chr: '1'}),
+                source.getData({chr: '2'}),
+                source.getData({chr: '1'}),
+            ]).then((results) => {
+                assert.deepEqual(results, [[{id: 1}], [{id: 2}], [{id: 1}]]);
+                assert.equal(this.fetch_calls.length, 2, 'Identical queries share one request');
+
+                const [url, init] = this.fetch_calls[1];
+                assert.equal(url, 'https://api.example/graphql');
+                assert.equal(init.method, 'POST', 'Requests with a body use POST by default');
+                assert.deepEqual(JSON.parse(init.body).variables, {chr: '2'});
+                assert.equal(init.headers['Content-Type'], 'application/json');
+                assert.notEqual(source._getCacheKey({chr: '1'}), source._getCacheKey({chr: '2'}));
+            });
+        });
+
+        it('sends configured headers and fetch options', function () {
+            this.responses.push(fakeResponse(200, '[]'));
+            const source = new BaseUrlAdapter({
+                url: 'https://api.example/data',
+                method: 'put',
+                body: 'id=1',
+                headers: (options) => ({Authorization: `Bearer ${options.token}`, 'content-type': 'text/plain'}),
+                fetch_options: {credentials: 'include'},
+            });
+            return source.getData({token: 'abc'})
+                .then(() => {
+                    const [, init] = this.fetch_calls[0];
+                    assert.equal(init.method, 'PUT');
+                    assert.equal(init.body, 'id=1');
+                    assert.deepEqual(init.headers, {Authorization: 'Bearer abc', 'content-type': 'text/plain'});
+                    assert.equal(init.credentials, 'include');
+                    assert.notProperty(init, 'signal', 'A request that cannot be cancelled does not need a signal');
+                });
+        });
+
+        it('can use a specific fetch implementation', function () {
+            const calls = [];
+            const source = new BaseUrlAdapter({
+                url: 'https://api.example/data',
+                fetch: (url, init) => {
+                    calls.push(url);
+                    return Promise.resolve(fakeResponse(200, '[{"id": 3}]'));
+                },
+            });
+            return source.getData()
+                .then((result) => {
+                    assert.deepEqual(result, [{id: 3}]);
+                    assert.deepEqual(calls, ['https://api.example/data']);
+                    assert.equal(this.fetch_calls.length, 0, 'Global fetch was not used');
+                    assert.equal(source._getCacheKey({}), 'https://api.example/data', 'GET requests are cached by URL');
+                });
+        });
+    });
+
+    describe('streaming responses', function () {
+        it('parses newline-delimited JSON as it arrives, in batches', function () {
+            this.responses.push(streamedResponse(['{"a": 1}\n{"a"', ': 2}\n{"a": 3}\r\n', '\n{"a": 4}']));
+            const source = new BaseUrlAdapter({url: 'https://somewhere.example', stream_format: 'ndjson', batch_size: 2});
+            const batches = [];
+            return source.getData({_on_batch: (batch) => batches.push(batch)})
+                .then((result) => {
+                    assert.deepEqual(batches, [[{a: 1}, {a: 2}], [{a: 3}, {a: 4}]], 'Records are reported in batches');
+                    assert.deepEqual(result, [{a: 1}, {a: 2}, {a: 3}, {a: 4}], 'Final result contains all records');
+
+                    batches.length = 0;
+                    return source.getData({_on_batch: (batch) => batches.push(batch)});
+                })
+                .then((result) => {
+                    assert.equal(this.fetch_calls.length, 1, 'Streamed result was cached');
+                    assert.deepEqual(batches, [result], 'Cached data is reported as a single batch');
+                });
+        });
+
+        it('parses delimited text as it arrives', function () {
+            this.responses.push(streamedResponse(['id\tpvalue\n1\t0', '.5\n2\t0.01\n']));
+            const source = new BaseUrlAdapter({url: 'https://somewhere.example', stream_format: 'delimited'});
+            return source.getData()
+                .then((result) => assert.deepEqual(result, [{id: '1', pvalue: '0.5'}, {id: '2', pvalue: '0.01'}]));
+        });
+
+        it('still annotates and post-processes the final result', function () {
+            class TestStreamAnnotations extends BaseUrlAdapter {
+                _annotateRecords(records, options) {
+                    return records.map((record) => Object.assign({annotated: true}, record));
+                }
+
+                _postProcessResponse(records, options) {
+                    return records.length;
+                }
+            }
+            this.responses.push(streamedResponse(['{"a": 1}\n{"a": 2}\n']));
+            const source = new TestStreamAnnotations({url: 'https://somewhere.example', stream_format: 'ndjson'});
+            return source.getData()
+                .then((result) => assert.equal(result, 2));
+        });
+
+        it('falls back to parsing the entire response if streams are not supported', function () {
+            this.responses.push(fakeResponse(200, '{"a": 1}\n{"a": 2}'));
+            const source = new BaseUrlAdapter({url: 'https://somewhere.example', stream_format: 'ndjson'});
+            return source.getData()
+                .then((result) => assert.deepEqual(result, [{a: 1}, {a: 2}]));
+        });
+
+        it('reports lines that could not be parsed', function () {
+            this.responses.push(streamedResponse(['{"a": 1}\nnot json\n']));
+            const source = new BaseUrlAdapter({url: 'https://somewhere.example', stream_format: 'ndjson'});
+            return source.getData()
+                .then(() => assert.fail('Unparseable response should reject'))
+                .catch((e) => {
+                    assert.instanceOf(e, AdapterParseError);
+                    assert.equal(e.body, 'not json');
+                });
+        });
+
+        it('can provide batches via an async iterator', function () {
+            this.responses.push(streamedResponse(['{"a": 1}\n{"a": 2}\n{"a": 3}\n']));
+            const source = new BaseUrlAdapter({url: 'https://somewhere.example', stream_format: 'ndjson', batch_size: 2});
+            const iterator = source.iterateBatches()[Symbol.asyncIterator]();
+            const batches = [];
+            const consume = () => iterator.next().then(({value, done}) => {
+                if (done) {
+                    return batches;
+                }
+                batches.push(value);
+                return consume();
+            });
+            return consume()
+                .then((result) => assert.deepEqual(result, [[{a: 1}, {a: 2}], [{a: 3}]]));
+        });
+
+        it('validates the stream format', function () {
+            assert.throws(
+                () => new BaseUrlAdapter({stream_format: 'xml'}),
+                /Unknown stream format/,
+            );
+        });
+    });
 });
@@ -0,0 +1,174 @@
+import {assert} from 'chai';
+import {getEventListeners} from 'events';
+
+import {BaseUrlAdapter} from '../esm/adapter';
+import {BatchRequestMixin} from '../esm/batch';
+import {StaticAdapter} from '../esm/local';
+
+
+class BatchedStaticAdapter extends BatchRequestMixin(StaticAdapter) {}
+
+/**
+ * Look up genes by ID, and remember every bulk request that was made
+ */
+function geneLookup(requests) {
+    return (options) => {
+        requests.push(options);
+        return options.ids.reduce((acc, id) => {
+            if (id !== 'missing') {
+                acc[id] = {id, symbol: `GENE-${id}`, build: options.build};
+            }
+            return acc;
+        }, {});
+    };
+}
+
+describe('BatchRequestMixin', function () {
+    it('combines calls made in the same tick into one request', function () {
+        const requests = [];
+        const source = new BatchedStaticAdapter({data: geneLookup(requests), cache_size: 10});
+        return Promise.all([
+            source.getData({id: 'A', build: 38}),
+            source.getData({id: 'B', build: 38}),
+            source.getData({id: 'missing', build: 38}),
+            source.getData({id: 'A', build: 37}),
+        ]).then((results) => {
+            assert.deepEqual(results, [
+                {id: 'A', symbol: 'GENE-A', build: 38},
+                {id: 'B', symbol: 'GENE-B', build: 38},
+                null,
+                {id: 'A', symbol: 'GENE-A', build: 37},
+            ]);
+            assert.equal(requests.length, 2, 'Calls with different options are requested separately');
+            assert.deepEqual(requests[0].ids, ['A', 'B', 'missing']);
+            assert.deepEqual(requests[1].ids, ['A']);
+            assert.notProperty(requests[0], 'id', 'Bulk requests do not receive the key for one item');
+        });
+    });
+
+    it('caches each item separately', function () {
+        const requests = [];
+        const source = new BatchedStaticAdapter({data: geneLookup(requests), cache_size: 10});
+        return Promise.all(['A', 'B'].map((id) => source.getData({id})))
+            .then(() => Promise.all(['A', 'B', 'C'].map((id) => source.getData({id}))))
+            .then((results) => {
+                assert.deepEqual(results.map(({id}) => id), ['A', 'B', 'C']);
+                assert.equal(requests.length, 2);
+                assert.deepEqual(requests[1].ids, ['C'], 'Only items that are not in cache are requested');
+            });
+    });
+
+    it('limits the size of each batch', function () {
+        const requests = [];
+        const source = new BatchedStaticAdapter({data: geneLookup(requests), max_batch_size: 2, cache_enabled: false});
+        return Promise.all(['A', 'B', 'C', 'D', 'E'].map((id) => source.getData({id})))
+            .then((results) => {
+                assert.equal(results.length, 5);
+                assert.deepEqual(requests.map(({ids}) => ids), [['A', 'B'], ['C', 'D'], ['E']]);
+            });
+    });
+
+    it('splits arrays of records by key field', function () {
+        const source = new BatchedStaticAdapter({
+            key_field: 'gene_id',
+            data: [
+                {gene_id: 'A', transcript: 't1'},
+                {gene_id: 'B', transcript: 't2'},
+                {gene_id: 'A', transcript: 't3'},
+            ],
+        });
+        return Promise.all(['A', 'B', 'C'].map((id) => source.getData({id})))
+            .then((results) => assert.deepEqual(results, [
+                [{gene_id: 'A', transcript: 't1'}, {gene_id: 'A', transcript: 't3'}],
+                [{gene_id: 'B', transcript: 't2'}],
+                [],
+            ]));
+    });
+
+    it('rejects every caller if the bulk request fails, without caching the failure', function () {
+        let fail = true;
+        const source = new BatchedStaticAdapter({
+            data: (options) => fail ? Promise.reject(new Error('Service unavailable')) : geneLookup([])(options),
+        });
+        return Promise.all(['A', 'B'].map((id) => source.getData({id}).catch((e) => e.message)))
+            .then((results) => {
+                assert.deepEqual(results, ['Service unavailable', 'Service unavailable']);
+                fail = false;
+                return source.getData({id: 'A'});
+            })
+            .then((result) => assert.equal(result.symbol, 'GENE-A'));
+    });
+
+    it('only cancels the bulk request when every caller has given up', function () {
+        let signal;
+        const source = new BatchedStaticAdapter({
+            data: (options) => {
+                signal = options._signal;
+                return new Promise(() => null);
+            },
+        });
+        const controllers = [new AbortController(), new AbortController()];
+        const results = controllers.map((controller, i) => source.getData({id: i, _signal: controller.signal}).catch((e) => e.name));
+        return new Promise((resolve) => setTimeout(resolve, 5))
+            .then(() => {
+                controllers[0].abort();
+                assert.isFalse(signal.aborted, 'Bulk request continues while someone is waiting');
+                controllers[1].abort();
+                assert.isTrue(signal.aborted, 'Bulk request is cancelled when nobody is waiting');
+                return Promise.all(results);
+            })
+            .then((names) => assert.deepEqual(names, ['AbortError', 'AbortError']));
+    });
+
+    it('stops waiting for an item as soon as it is cancelled, even before the batch is sent', function () {
+        const requests = [];
+        const source = new BatchedStaticAdapter({data: geneLookup(requests)});
+        const controller = new AbortController();
+        const cancelled = source._performRequest({id: 'A', _signal: controller.signal});
+        controller.abort();
+        return cancelled
+            .then(() => assert.fail('Cancelled item should reject'))
+            .catch((e) => {
+                assert.equal(e.name, 'AbortError');
+                return new Promise((resolve) => setTimeout(resolve, 5));
+            })
+            .then(() => assert.deepEqual(requests, [], 'No bulk request is made for cancelled items'));
+    });
+
+    it('does not leave listeners on a signal after items are received', function () {
+        const source = new BatchedStaticAdapter({data: geneLookup([])});
+        const controller = new AbortController();
+        return Promise.all(['A', 'B'].map((id) => source._performRequest({id, _signal: controller.signal})))
+            .then((results) => {
+                assert.deepEqual(results.map(({symbol}) => symbol), ['GENE-A', 'GENE-B']);
+                assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+            });
+    });
+
+    it('works with web-based adapters', function () {
+        const original_fetch = global.fetch;
+        const calls = [];
+        global.fetch = (url, init) => {
+            calls.push(JSON.parse(init.body));
+            const records = JSON.parse(init.body).gene_ids.map((gene_id) => ({gene_id, score: gene_id.length}));
+            return Promise.resolve(new Response(JSON.stringify(records)));
+        };
+        class GeneAnnotationAdapter extends BatchRequestMixin(BaseUrlAdapter) {}
+        const source = new GeneAnnotationAdapter({
+            url: 'https://api.example/genes',
+            body: (options) => ({gene_ids: options.ids}),
+            key_field: 'gene_id',
+        });
+        return Promise.all(['A', 'BB'].map((id) => source.getData({id})))
+            .then((results) => {
+                assert.deepEqual(results, [[{gene_id: 'A', score: 1}], [{gene_id: 'BB', score: 2}]]);
+                assert.deepEqual(calls, [{gene_ids: ['A', 'BB']}]);
+            })
+            .finally(() => global.fetch = original_fetch);
+    });
+
+    it('requires a key', function () {
+        const source = new BatchedStaticAdapter({data: []});
+        assert.throws(() => source.getData({}), /require the option "id"/);
+    });
+});
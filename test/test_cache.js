@@ -1,6 +1,6 @@
 import {assert} from 'chai';
 
-import {LRUCache} from '../esm/lru_cache';
+import {LRUCache, countRecords, estimateBytes} from '../esm/lru_cache';
 
 describe('LRU cache', function () {
     it('restricts max size by evicting old items', function () {
@@ -80,4 +80,154 @@ describe('LRU cache', function () {
         found = cache.find(({ metadata}) => metadata.chr === '2' && 16 >= metadata.start &&  18 <= metadata.end);
         assert.deepEqual(found.key, 'akey', 'A more interesting example: region overlap tested via metadata');
     });
+
+    it('preserves metadata when an item is read', function () {
+        const cache = new LRUCache(3);
+        cache.add('a', 1, {chr: '1'});
+        cache.add('b', 2);
+        cache.get('a');
+        assert.equal(cache._head.key, 'a');
+        assert.deepEqual(cache._head.metadata, {chr: '1'});
+    });
+
+    describe('observability', function () {
+        it('emits events when the cache is used', function () {
+            const cache = new LRUCache(2);
+            const events = [];
+            ['hit', 'miss', 'add', 'evict', 'remove'].forEach((name) => {
+                cache.on(name, ({key, reason}) => events.push(reason ? [name, key, reason] : [name, key]));
+            });
+
+            cache.add('a', 1, {chr: '1'});
+            cache.get('a');
+            cache.has('nothing');
+            cache.add('b', 2);
+            cache.add('c', 3);
+            cache.remove('b');
+
+            assert.deepEqual(events, [
+                ['add', 'a'],
+                ['hit', 'a'],
+                ['miss', 'nothing'],
+                ['add', 'b'],
+                ['evict', 'a', 'capacity'],
+                ['add', 'c'],
+                ['remove', 'b'],
+            ]);
+        });
+
+        it('can stop listening for events', function () {
+            const cache = new LRUCache(2);
+            let count = 0;
+            const off = cache.on('add', () => count += 1);
+            cache.add('a', 1);
+            off();
+            cache.add('b', 2);
+            assert.equal(count, 1);
+        });
+
+        it('reports statistics', function () {
+            const cache = new LRUCache(2);
+            ['a', 'b', 'c'].forEach((item, index) => cache.add(item, index));
+            cache.get('c');
+            cache.get('a'); // Evicted
+            cache.has('b');
+            cache.remove('b');
+
+            assert.deepEqual(cache.stats(), {
+                hits: 1,
+                misses: 1,
+                hit_ratio: 0.5,
+                adds: 3,
+                evictions: 1,
+                removals: 1,
+                size: 1,
+                max_size: 2,
+                weight: 0,
+            });
+        });
+    });
+
+    describe('expiration', function () {
+        it('ignores expired items', function () {
+            const cache = new LRUCache(3, {ttl: 0});
+            cache.add('a', 1);
+
+            assert.ok(cache.isStale('a'), 'Item is stale');
+            assert.ok(cache.has('a', {allow_stale: true}), 'Stale items can be requested');
+            assert.equal(cache.get('a', {allow_stale: true}), 1, 'Stale value can be retrieved');
+            assert.isNull(cache.find((node) => node.key === 'a'), 'Search ignores stale items');
+
+            assert.notOk(cache.has('a'), 'Stale items are not normally considered a hit');
+            assert.equal(cache._cur_size, 0, 'Stale items are removed when found');
+        });
+
+        it('allows each item to override when it expires', function () {
+            const cache = new LRUCache(3, {ttl: 0});
+            cache.add('a', 1, {ttl: 60000});
+            cache.add('b', 2);
+            assert.ok(cache.has('a'), 'Item with its own TTL is still fresh');
+            assert.notOk(cache.isStale('a'));
+            assert.ok(cache.isStale('b'), 'Items without their own TTL use the default');
+        });
+
+        it('never expires items by default', function () {
+            const cache = new LRUCache(3);
+            cache.add('a', 1);
+            assert.isNull(cache._head.expires);
+            assert.notOk(cache.isStale('a'));
+            assert.notOk(cache.isStale('never_there'), 'Items that are not in the cache are not stale');
+        });
+    });
+
+    describe('size-aware eviction', function () {
+        it('estimates the size of a value', function () {
+            assert.equal(estimateBytes('abc'), 6);
+            assert.equal(estimateBytes([{a: 1, bc: 'd'}]), 2 + 8 + 4 + 2);
+            assert.equal(estimateBytes(null), 0);
+            assert.equal(countRecords([1, 2, 3]), 3);
+        });
+
+        it('evicts least recently used items until under budget', function () {
+            const cache = new LRUCache(Infinity, {max_weight: 5, sizer: countRecords});
+            cache.add('a', [1, 2]);
+            cache.add('b', [1, 2]);
+            cache.get('a');
+            assert.equal(cache.weight, 4);
+
+            cache.add('c', [1, 2, 3]);
+            assert.sameMembers([...cache._store.keys()], ['a', 'c'], 'Least recently used item was removed');
+            assert.equal(cache.weight, 5, 'Reports current weight');
+
+            cache.add('d', [1, 2, 3, 4, 5, 6]);
+            assert.equal(cache._cur_size, 0, 'An item too big to fit is not kept');
+            assert.equal(cache.weight, 0);
+        });
+
+        it('weighs promises when they resolve', function () {
+            const cache = new LRUCache(Infinity, {max_weight: 3, sizer: countRecords});
+            cache.add('a', [1, 2]);
+            const pending = Promise.resolve([1, 2]);
+            cache.add('b', pending);
+            assert.equal(cache.weight, 2, 'Pending items have no weight yet');
+            return pending.then(() => {
+                assert.equal(cache.weight, 2);
+                assert.sameMembers([...cache._store.keys()], ['b'], 'Older item was evicted when the new item was weighed');
+            });
+        });
+
+        it('keeps track of weight when items are removed', function () {
+            const cache = new LRUCache(3, {max_weight: 100});
+            cache.add('a', 'abc');
+            cache.add('b', 'de');
+            cache.remove('a');
+            assert.equal(cache.weight, 4);
+            cache.clear();
+            assert.equal(cache.weight, 0);
+        });
+
+        it('validates options', function () {
+            assert.throws(() => new LRUCache(3, {max_weight: -1}), /must be >= 0/);
+        });
+    });
 });
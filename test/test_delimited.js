@@ -0,0 +1,106 @@
+import {assert} from 'chai';
+
+import {DelimitedTextAdapter, coerceValue, inferValue, splitDelimited} from '../esm/delimited';
+import {AdapterParseError} from '../esm/errors';
+
+
+/**
+ * Serve a fixed text payload, without any network requests
+ */
+class TestTextAdapter extends DelimitedTextAdapter {
+    constructor(text, config = {}) {
+        super(Object.assign({url: 'https://somewhere.example/file.tsv'}, config));
+        this._text = text;
+    }
+
+    _performRequest(options) {
+        return Promise.resolve(this._text);
+    }
+}
+
+describe('Delimited text', function () {
+    describe('parsing helpers', function () {
+        it('splits lines, with optional quoting', function () {
+            assert.deepEqual(splitDelimited('a\tb\t\tc'), ['a', 'b', '', 'c']);
+            assert.deepEqual(splitDelimited('a,"b,c",d', ','), ['a', 'b,c', 'd']);
+            assert.deepEqual(splitDelimited('"say ""hello""",x', ','), ['say "hello"', 'x']);
+            assert.deepEqual(splitDelimited('"a,b', ',', null), ['"a', 'b'], 'Quoting can be disabled');
+            assert.throws(() => splitDelimited('"a,b', ','), /Unterminated/);
+        });
+
+        it('converts values to the requested type', function () {
+            assert.strictEqual(coerceValue('1.5e-8', 'number'), 1.5e-8);
+            assert.strictEqual(coerceValue('12', 'int'), 12);
+            assert.strictEqual(coerceValue('TRUE', 'boolean'), true);
+            assert.strictEqual(coerceValue('0', 'boolean'), false);
+            assert.strictEqual(coerceValue('12', 'string'), '12');
+            assert.strictEqual(coerceValue('x', (value) => value.toUpperCase()), 'X');
+
+            assert.throws(() => coerceValue('abc', 'number'), /Expected a number/);
+            assert.throws(() => coerceValue('1.5', 'int'), /Expected an integer/);
+            assert.throws(() => coerceValue('maybe', 'boolean'), /Expected a boolean/);
+            assert.throws(() => coerceValue('1', 'date'), /Unknown column type/);
+        });
+
+        it('can guess the type of a value', function () {
+            assert.strictEqual(inferValue('-0.25'), -0.25);
+            assert.strictEqual(inferValue('false'), false);
+            assert.strictEqual(inferValue('rs1234'), 'rs1234');
+            assert.strictEqual(inferValue('1:100_A/G'), '1:100_A/G');
+        });
+    });
+
+    describe('DelimitedTextAdapter', function () {
+        it('reads a file with a header row into records', function () {
+            const text = '# A comment\nchrom\tpos\tpvalue\tcoding\n1\t100\t0.05\ttrue\r\n2\t200\tNA\tfalse\n\n';
+            const source = new TestTextAdapter(text, {
+                types: {position: 'int', pvalue: 'number', coding: 'boolean'},
+                field_map: {chrom: 'chromosome', pos: 'position'},
+            });
+            return source.getData()
+                .then((result) => assert.deepEqual(result, [
+                    {chromosome: '1', position: 100, pvalue: 0.05, coding: true},
+                    {chromosome: '2', position: 200, pvalue: null, coding: false},
+                ]));
+        });
+
+        it('reads a file with no header row, using other delimiters', function () {
+            const text = '1,"rs1,rs2",.\n2,rs3,0.5\n';
+            const source = new TestTextAdapter(text, {
+                has_header: false,
+                columns: ['chr', 'ids', 'af'],
+                delimiter: ',',
+                infer_types: true,
+            });
+            return source.getData()
+                .then((result) => assert.deepEqual(result, [
+                    {chr: 1, ids: 'rs1,rs2', af: null},
+                    {chr: 2, ids: 'rs3', af: 0.5},
+                ]));
+        });
+
+        it('reports rows that could not be parsed', function () {
+            const source = new TestTextAdapter('a\tb\n1\t2\n3\n', {types: {a: 'int'}});
+            return source.getData({_provider_name: 'assoc'})
+                .then(() => assert.fail('Unparseable response should reject'))
+                .catch((e) => {
+                    assert.instanceOf(e, AdapterParseError);
+                    assert.match(e.message, /line 3: Expected 2 fields, but found 1/);
+                    assert.equal(e.provider, 'assoc');
+                    assert.equal(e.body, '3');
+                });
+        });
+
+        it('reports values that could not be converted', function () {
+            const source = new TestTextAdapter('a\tb\n1\t2\nx\t2\n', {types: {a: 'int'}});
+            return source.getData()
+                .then(() => assert.fail('Unparseable response should reject'))
+                .catch((e) => assert.match(e.message, /line 3: field "a": Expected an integer/));
+        });
+
+        it('validates options', function () {
+            assert.throws(() => new DelimitedTextAdapter({has_header: false}), /must specify column names/);
+            assert.throws(() => new DelimitedTextAdapter({stream_format: 'ndjson'}), /only be streamed/);
+        });
+    });
+});
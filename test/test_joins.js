@@ -1,6 +1,9 @@
 import {assert} from 'chai';
 
-import {left_match, inner_match, full_outer_match} from '../esm/joins';
+import {
+    left_match, inner_match, full_outer_match, interval_left_match, interval_inner_match,
+    semi_match, anti_match, nest_match, groupBy,
+} from '../esm/joins';
 
 
 describe('Data Join Helpers', function() {
@@ -54,4 +57,240 @@ describe('Data Join Helpers', function() {
             assert.deepEqual(actual, expected);
         });
     });
+
+    describe('join options', function () {
+        beforeEach(function () {
+            this.assoc = [
+                { chrom: '1', pos: 100, ref: 'A', alt: 'G', pvalue: 0.05 },
+                { chrom: '1', pos: 100, ref: 'A', alt: 'T', pvalue: 0.5 },
+                { chrom: '2', pos: 100, ref: 'A', alt: 'G', pvalue: 0.01 },
+            ];
+            this.catalog = [
+                { chrom: '1', pos: 100, ref: 'A', alt: 'T', pvalue: 1e-8, trait: 'height' },
+                { chrom: '3', pos: 100, ref: 'A', alt: 'T', pvalue: 1e-9, trait: 'BMI' },
+            ];
+        });
+
+        it('matches on composite keys', function () {
+            const key = ['chrom', 'pos', 'ref', 'alt'];
+            const actual = inner_match(this.assoc, this.catalog, key, key);
+            assert.deepEqual(actual, [
+                { chrom: '1', pos: 100, ref: 'A', alt: 'T', pvalue: 0.5, trait: 'height' },
+            ]);
+
+            assert.throws(
+                () => inner_match(this.assoc, this.catalog, key, ['chrom', 'pos']),
+                /same number of key fields/,
+            );
+        });
+
+        it('keeps the value from either side when fields collide', function () {
+            const key = ['chrom', 'pos', 'ref', 'alt'];
+            let actual = inner_match(this.assoc, this.catalog, key, key);
+            assert.equal(actual[0].pvalue, 0.5, 'Left side wins by default');
+            actual = inner_match(this.assoc, this.catalog, key, key, { collisions: 'right' });
+            assert.equal(actual[0].pvalue, 1e-8);
+        });
+
+        it('can label every field with a prefix', function () {
+            const actual = left_match(this.left_data, this.right_data, 'gene_id', 'gene_id', {
+                collisions: 'prefix', left_prefix: 'assoc:', right_prefix: 'catalog:',
+            });
+            assert.deepEqual(actual, [
+                { 'assoc:gene_id': 'ENSG00000148737', 'assoc:pval': .05, 'catalog:gene_id': 'ENSG00000148737', 'catalog:catalog': true },
+                { 'assoc:gene_id': 'ENSG00000148737', 'assoc:pval': .05, 'catalog:gene_id': 'ENSG00000148737', 'catalog:catalog': false },
+                { 'assoc:gene_id': 'ENSG00000012048', 'assoc:pval': .0005 },
+            ]);
+        });
+
+        it('can rename colliding fields with a suffix', function () {
+            const key = ['chrom', 'pos', 'ref', 'alt'];
+            const actual = full_outer_match(this.assoc, this.catalog, key, key, { collisions: 'suffix' });
+            assert.deepEqual(actual[1], {
+                chrom: '1', pos: 100, ref: 'A', alt: 'T', pvalue_left: 0.5, pvalue_right: 1e-8, trait: 'height',
+            }, 'Shared join keys are not renamed');
+            assert.deepEqual(actual[0], { chrom: '1', pos: 100, ref: 'A', alt: 'G', pvalue: 0.05 }, 'Unmatched rows do not collide');
+        });
+
+        it('can refuse to combine colliding fields', function () {
+            const key = ['chrom', 'pos', 'ref', 'alt'];
+            assert.throws(
+                () => inner_match(this.assoc, this.catalog, key, key, { collisions: 'error' }),
+                /Both sides of the join have the field\(s\): pvalue/,
+            );
+            // The same fields used as join keys are not a conflict
+            const actual = inner_match(this.left_data, this.right_data, 'gene_id', 'gene_id', { collisions: 'error' });
+            assert.equal(actual.length, 2);
+
+            assert.throws(
+                () => inner_match(this.assoc, this.catalog, 'chrom', 'chrom', { collisions: 'unknown' }),
+                /must be one of/,
+            );
+        });
+
+        it('can record which side each row came from', function () {
+            const actual = full_outer_match(this.left_data, this.right_data, 'gene_id', 'gene_id', { source_field: 'side' });
+            assert.deepEqual(actual.map((item) => item.side), ['both', 'both', 'left', 'right']);
+        });
+    });
+
+    describe('interval join helpers', function () {
+        beforeEach(function () {
+            this.variants = [
+                { chrom: '1', pos: 100, id: 'a' },
+                { chrom: '1', pos: 250, id: 'b' }, // between genes
+                { chrom: '2', pos: 100, id: 'c' }, // same position, different chromosome
+                { chrom: '1', pos: 300, id: 'd' }, // on the boundary of a gene
+                { chrom: '1', id: 'e' }, // no position
+            ];
+            this.genes = [
+                { chrom: '1', start: 300, end: 400, gene: 'B' },
+                { chrom: '1', start: 50, end: 200, gene: 'A' },
+                { chrom: '1', start: 90, end: 110, gene: 'A2' },
+                { chrom: '3', start: 0, end: 1000, gene: 'C' },
+            ];
+        });
+
+        it('matches points to the intervals that contain them', function () {
+            const actual = interval_left_match(this.variants, this.genes, ['chrom', 'pos'], ['chrom', 'start', 'end']);
+            assert.deepEqual(actual.map((item) => [item.id, item.gene]), [
+                ['a', 'A'],
+                ['a', 'A2'],
+                ['b', undefined],
+                ['c', undefined],
+                ['d', 'B'],
+                ['e', undefined],
+            ]);
+            assert.deepEqual(actual[0], { chrom: '1', pos: 100, id: 'a', start: 50, end: 200, gene: 'A' });
+
+            const inner = interval_inner_match(this.variants, this.genes, ['chrom', 'pos'], ['chrom', 'start', 'end']);
+            assert.deepEqual(inner.map((item) => [item.id, item.gene]), [['a', 'A'], ['a', 'A2'], ['d', 'B']]);
+        });
+
+        it('matches intervals that overlap', function () {
+            const regions = [{ chromosome: '1', from: 150, to: 320 }];
+            const actual = interval_inner_match(regions, this.genes, ['chromosome', 'from', 'to'], ['chrom', 'start', 'end'], {
+                source_field: 'side',
+            });
+            assert.deepEqual(actual.map((item) => item.gene), ['B', 'A'], 'Matches are in the order of the right side');
+            assert.equal(actual[0].side, 'both');
+        });
+
+        it('compares positions given as text by number', function () {
+            const variants = [{ chrom: '1', pos: '1500', id: 'a' }, { chrom: '1', pos: '250', id: 'b' }, { chrom: '1', pos: 'unknown', id: 'c' }];
+            const genes = [{ chrom: '1', start: '200', end: '300', gene: 'A' }, { chrom: '1', start: '1000', end: '2000', gene: 'B' }];
+            const actual = interval_left_match(variants, genes, ['chrom', 'pos'], ['chrom', 'start', 'end']);
+            assert.deepEqual(actual.map((item) => [item.id, item.gene]), [
+                ['a', 'B'],
+                ['b', 'A'],
+                ['c', undefined],
+            ]);
+        });
+
+        it('requires chromosome and position fields', function () {
+            assert.throws(
+                () => interval_left_match(this.variants, this.genes, 'pos', ['chrom', 'start', 'end']),
+                /must specify the fields for chromosome and position/,
+            );
+        });
+
+        it('finds the same matches as comparing every pair', function () {
+            // Deterministic pseudo-random intervals, with many overlaps and duplicate positions
+            let seed = 1;
+            const random = (n) => {
+                seed = (seed * 16807) % 2147483647;
+                return seed % n;
+            };
+            const makeIntervals = (count) => Array.from({ length: count }, (_, i) => {
+                const start = random(1000);
+                return { chrom: String(random(3)), start, end: start + random(50), i };
+            });
+            const left = makeIntervals(300);
+            const right = makeIntervals(300);
+            const key = ['chrom', 'start', 'end'];
+
+            const expected = [];
+            for (let l of left) {
+                for (let r of right) {
+                    if (l.chrom === r.chrom && l.start <= r.end && r.start <= l.end) {
+                        expected.push([l.i, r.i]);
+                    }
+                }
+            }
+            const actual = interval_inner_match(left, right, key, key, { collisions: 'prefix' });
+            assert.ok(expected.length > 300);
+            assert.deepEqual(actual.map((item) => [item['left:i'], item['right:i']]), expected);
+        });
+    });
+
+    describe('filtering and nesting join helpers', function () {
+        it('keeps records with any match, once each', function () {
+            const actual = semi_match(this.left_data, this.right_data, 'gene_id', 'gene_id');
+            assert.deepEqual(actual, [{ gene_id: 'ENSG00000148737', pval: .05 }]);
+        });
+
+        it('keeps records with no match', function () {
+            const actual = anti_match(this.left_data, this.right_data, 'gene_id', 'gene_id');
+            assert.deepEqual(actual, [{ gene_id: 'ENSG00000012048', pval: .0005 }]);
+        });
+
+        it('attaches a list of matches to each record', function () {
+            const actual = nest_match(this.left_data, this.right_data, 'gene_id', 'gene_id');
+            assert.deepEqual(actual, [
+                {
+                    gene_id: 'ENSG00000148737', pval: .05, matches: [
+                        { gene_id: 'ENSG00000148737', catalog: true },
+                        { gene_id: 'ENSG00000148737', catalog: false },
+                    ],
+                },
+                { gene_id: 'ENSG00000012048', pval: .0005, matches: [] },
+            ]);
+            assert.notStrictEqual(actual[0].matches[0], this.right_data[0], 'Matches are copies');
+        });
+
+        it('can summarize the matches', function () {
+            let actual = nest_match(this.left_data, this.right_data, 'gene_id', 'gene_id', { nest_field: 'hits', aggregate: 'count' });
+            assert.deepEqual(actual.map((item) => item.hits), [2, 0]);
+
+            actual = nest_match(this.left_data, this.right_data, 'gene_id', 'gene_id', {
+                aggregate: (matches) => matches.some((item) => item.catalog),
+            });
+            assert.deepEqual(actual.map((item) => item.matches), [true, false]);
+
+            assert.throws(
+                () => nest_match(this.left_data, this.right_data, 'gene_id', 'gene_id', { aggregate: 'sum' }),
+                /must be "list", "count", or a function/,
+            );
+        });
+    });
+
+    describe('missing keys', function () {
+        beforeEach(function () {
+            this.left_data.push({ gene_id: null, pval: 0.1 }, { pval: 0.2 });
+            this.right_data.push({ gene_id: null, catalog: true }, { catalog: false });
+        });
+
+        it('are not grouped', function () {
+            const groups = groupBy(this.right_data, 'gene_id');
+            assert.deepEqual([...groups.keys()], ['ENSG00000148737', 'ENSG00000128731']);
+        });
+
+        it('never match, but are kept by outer joins', function () {
+            assert.equal(inner_match(this.left_data, this.right_data, 'gene_id', 'gene_id').length, 2);
+            assert.equal(left_match(this.left_data, this.right_data, 'gene_id', 'gene_id').length, 5);
+            const outer = full_outer_match(this.left_data, this.right_data, 'gene_id', 'gene_id', { source_field: 'side' });
+            assert.deepEqual(outer.map((item) => item.side), ['both', 'both', 'left', 'left', 'left', 'right', 'right', 'right']);
+        });
+
+        it('are treated the same way by every kind of join', function () {
+            assert.equal(semi_match(this.left_data, this.right_data, 'gene_id', 'gene_id').length, 1);
+            assert.equal(anti_match(this.left_data, this.right_data, 'gene_id', 'gene_id').length, 3);
+            const nested = nest_match(this.left_data, this.right_data, 'gene_id', 'gene_id', { aggregate: 'count' });
+            assert.deepEqual(nested.map((item) => item.matches), [2, 0, 0, 0]);
+
+            const composite = ['gene_id', 'pval'];
+            const right = [{ gene_id: null, pval: 0.1 }];
+            assert.equal(inner_match(this.left_data, right, composite, composite).length, 0);
+        });
+    });
 });
@@ -0,0 +1,135 @@
+import {assert} from 'chai';
+
+import {AdapterError, AdapterParseError} from '../esm/errors';
+import {JsonApiAdapter, columnsToRows, getPath} from '../esm/json_api';
+
+
+/**
+ * Just enough of the fetch Response interface to exercise the adapter
+ */
+function jsonResponse(payload) {
+    return {
+        ok: true,
+        status: 200,
+        statusText: 'OK',
+        headers: { get: () => null },
+        text: () => Promise.resolve(JSON.stringify(payload)),
+    };
+}
+
+describe('JSON API adapter', function () {
+    beforeEach(function () {
+        this.original_fetch = global.fetch;
+        // Responses by URL
+        this.pages = {};
+        this.fetch_calls = [];
+        global.fetch = (url, init) => {
+            this.fetch_calls.push(url);
+            return Promise.resolve(jsonResponse(this.pages[url]));
+        };
+    });
+
+    afterEach(function () {
+        global.fetch = this.original_fetch;
+    });
+
+    describe('helpers', function () {
+        it('finds values by path', function () {
+            const payload = {data: {results: [1, 2]}, meta: null};
+            assert.deepEqual(getPath(payload, 'data.results'), [1, 2]);
+            assert.deepEqual(getPath(payload, ['data', 'results']), [1, 2]);
+            assert.deepEqual(getPath(payload, (item) => item.data), {results: [1, 2]});
+            assert.isUndefined(getPath(payload, 'meta.next'));
+        });
+
+        it('converts columns to rows', function () {
+            assert.deepEqual(
+                columnsToRows({id: [1, 2], pvalue: [0.5, 0.1]}),
+                [{id: 1, pvalue: 0.5}, {id: 2, pvalue: 0.1}],
+            );
+            assert.deepEqual(columnsToRows({}), []);
+            assert.throws(() => columnsToRows({id: [1, 2], pvalue: [0.5]}), /same length \(id: 2, pvalue: 1\)/);
+        });
+    });
+
+    it('finds records in the response, and converts columns to rows', function () {
+        this.pages['https://api.example/results'] = {data: {id: [1, 2], pvalue: [0.5, 0.1]}, meta: {}};
+        const source = new JsonApiAdapter({url: 'https://api.example/results', data_path: 'data'});
+        return source.getData()
+            .then((result) => assert.deepEqual(result, [{id: 1, pvalue: 0.5}, {id: 2, pvalue: 0.1}]));
+    });
+
+    it('can leave column-oriented data as is', function () {
+        this.pages['https://api.example/results'] = {data: {id: [1, 2]}};
+        const source = new JsonApiAdapter({url: 'https://api.example/results', data_path: 'data', columnar: false});
+        return source.getData()
+            .then((result) => assert.deepEqual(result, {id: [1, 2]}));
+    });
+
+    it('reports responses that do not have the expected structure', function () {
+        this.pages['https://api.example/uneven'] = {data: {id: [1, 2], pvalue: [0.5]}};
+        this.pages['https://api.example/missing'] = {results: []};
+        this.pages['https://api.example/rows'] = {data: [{id: 1}]};
+        const check = (url, config, pattern) => new JsonApiAdapter(Object.assign({url, data_path: 'data'}, config))
+            .getData({_provider_name: 'api'})
+            .then(() => assert.fail('Invalid response should reject'))
+            .catch((e) => {
+                assert.instanceOf(e, AdapterParseError);
+                assert.match(e.message, pattern);
+                assert.equal(e.provider, 'api');
+                assert.equal(e.url, url);
+            });
+        return Promise.all([
+            check('https://api.example/uneven', {}, /same length \(id: 2, pvalue: 1\)/),
+            check('https://api.example/missing', {}, /does not contain data at "data"/),
+            check('https://api.example/rows', {columnar: true}, /Expected column-oriented data/),
+        ]);
+    });
+
+    it('follows links to the next page, and caches the combined result', function () {
+        this.pages['https://api.example/results'] = {data: {id: [1, 2]}, meta: {next: '/results?page=2'}};
+        this.pages['https://api.example/results?page=2'] = {data: {id: [3]}, meta: {next: 'https://api.example/results?page=3'}};
+        this.pages['https://api.example/results?page=3'] = {data: {id: []}, meta: {next: null}};
+        const source = new JsonApiAdapter({url: 'https://api.example/results', data_path: 'data', next_path: 'meta.next'});
+        return source.getData()
+            .then((result) => {
+                assert.deepEqual(result, [{id: 1}, {id: 2}, {id: 3}]);
+                assert.equal(this.fetch_calls.length, 3);
+                return source.getData();
+            })
+            .then((result) => {
+                assert.equal(result.length, 3);
+                assert.equal(this.fetch_calls.length, 3, 'Combined result was cached');
+            });
+    });
+
+    it('requests pages using a cursor', function () {
+        this.pages['https://api.example/results?build=38'] = {rows: [{id: 1}], cursor: 'abc/1'};
+        this.pages['https://api.example/results?build=38&cursor=abc%2F1'] = {rows: [{id: 2}], cursor: 'abc/2'};
+        this.pages['https://api.example/results?build=38&cursor=abc%2F2'] = {rows: [{id: 3}], cursor: ''};
+        const source = new JsonApiAdapter({
+            url: 'https://api.example/results?build=38',
+            data_path: 'rows',
+            cursor_path: 'cursor',
+        });
+        return source.getData()
+            .then((result) => assert.deepEqual(result, [{id: 1}, {id: 2}, {id: 3}]));
+    });
+
+    it('limits the number of pages', function () {
+        this.pages['https://api.example/loop'] = {data: [{id: 1}], next: 'https://api.example/loop'};
+        const source = new JsonApiAdapter({url: 'https://api.example/loop', data_path: 'data', next_path: 'next', max_pages: 3});
+        return source.getData()
+            .then(() => assert.fail('Too many pages should reject'))
+            .catch((e) => {
+                assert.instanceOf(e, AdapterError);
+                assert.match(e.message, /Stopped after 3 pages/);
+                assert.equal(this.fetch_calls.length, 3);
+            });
+    });
+
+    it('validates options', function () {
+        assert.throws(() => new JsonApiAdapter({columnar: 'yes'}), /must be true, false, or "auto"/);
+        assert.throws(() => new JsonApiAdapter({next_path: 'next', cursor_path: 'cursor'}), /only one of/);
+    });
+});
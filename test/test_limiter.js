@@ -0,0 +1,187 @@
+import {assert} from 'chai';
+
+import {BaseUrlAdapter} from '../esm/adapter';
+import {AbortError} from '../esm/errors';
+import {HostLimiter, RequestLimiter} from '../esm/limiter';
+
+
+/**
+ * A task that can be finished from outside
+ */
+function deferredTask(started) {
+    let finish;
+    const promise = new Promise((resolve) => finish = resolve);
+    const task = () => {
+        started.push(task);
+        return promise;
+    };
+    task.finish = finish;
+    return task;
+}
+
+function tick(ms = 0) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+describe('Request limiters', function () {
+    describe('RequestLimiter', function () {
+        it('limits the number of tasks in progress', function () {
+            const limiter = new RequestLimiter({max_concurrent: 2});
+            const started = [];
+            const tasks = [1, 2, 3, 4].map(() => deferredTask(started));
+            const results = tasks.map((task, i) => limiter.run(task).then(() => i));
+            return tick()
+                .then(() => {
+                    assert.equal(started.length, 2);
+                    assert.deepEqual(limiter.stats(), {active: 2, queued: 2});
+                    tasks[0].finish();
+                    return tick();
+                })
+                .then(() => {
+                    assert.equal(started.length, 3, 'A new task starts when one finishes');
+                    assert.strictEqual(started[2], tasks[2]);
+                    tasks.forEach((task) => task.finish());
+                    return Promise.all(results);
+                })
+                .then((values) => {
+                    assert.deepEqual(values, [0, 1, 2, 3]);
+                    assert.deepEqual(limiter.stats(), {active: 0, queued: 0});
+                });
+        });
+
+        it('limits the rate at which tasks start', function () {
+            const limiter = new RequestLimiter({rate: 2, interval: 40});
+            const start_times = [];
+            const begin = Date.now();
+            const tasks = [1, 2, 3, 4].map(() => limiter.run(() => start_times.push(Date.now() - begin)));
+            return Promise.all(tasks)
+                .then(() => {
+                    assert.isBelow(start_times[1], 15, 'A burst of tasks can start right away');
+                    assert.isAtLeast(start_times[2], 15, 'Later tasks wait for the rate limit');
+                    assert.isAtLeast(start_times[3], 35);
+                });
+        });
+
+        it('does not start tasks that are cancelled while waiting', function () {
+            const limiter = new RequestLimiter({max_concurrent: 1});
+            const started = [];
+            const first = deferredTask(started);
+            const second = deferredTask(started);
+            const controller = new AbortController();
+            limiter.run(first);
+            const cancelled = limiter.run(second, controller.signal);
+            assert.equal(limiter.queued, 1);
+            controller.abort();
+            assert.equal(limiter.queued, 0, 'Cancelled task was removed from the queue');
+            first.finish();
+            return cancelled
+                .then(() => assert.fail('Cancelled task should reject'))
+                .catch((e) => {
+                    assert.instanceOf(e, AbortError);
+                    return tick();
+                })
+                .then(() => assert.deepEqual(started, [first]));
+        });
+
+        it('allows rates of less than one task per interval', function () {
+            const limiter = new RequestLimiter({rate: 0.5, interval: 40});
+            const start_times = [];
+            const begin = Date.now();
+            const tasks = [1, 2].map(() => limiter.run(() => start_times.push(Date.now() - begin)));
+            return Promise.all(tasks)
+                .then(() => {
+                    assert.isBelow(start_times[0], 15, 'The first task can start right away');
+                    assert.isAtLeast(start_times[1], 70, 'Later tasks wait for the rate limit');
+                });
+        });
+
+        it('validates options', function () {
+            assert.throws(() => new RequestLimiter({max_concurrent: 0}), /max_concurrent/);
+            assert.throws(() => new RequestLimiter({rate: 0}), /Rate limits/);
+        });
+    });
+
+    describe('HostLimiter', function () {
+        it('applies separate limits to each host', function () {
+            const limiter = new HostLimiter({max_concurrent: 1});
+            const started = [];
+            const tasks = [1, 2, 3].map(() => deferredTask(started));
+            limiter.run(tasks[0], null, 'a.example');
+            limiter.run(tasks[1], null, 'a.example');
+            limiter.run(tasks[2], null, 'b.example');
+            return tick().then(() => {
+                assert.deepEqual(started, [tasks[0], tasks[2]]);
+                assert.deepEqual(limiter.stats(), {
+                    active: 2,
+                    queued: 1,
+                    hosts: {
+                        'a.example': {active: 1, queued: 1},
+                        'b.example': {active: 1, queued: 0},
+                    },
+                });
+            });
+        });
+    });
+
+    describe('adapters', function () {
+        beforeEach(function () {
+            this.original_fetch = global.fetch;
+            this.started = [];
+            global.fetch = (url, init) => {
+                const request = {url};
+                request.done = new Promise((resolve) => request.finish = () => resolve(new Response('[]')));
+                this.started.push(request);
+                return request.done;
+            };
+        });
+
+        afterEach(function () {
+            global.fetch = this.original_fetch;
+        });
+
+        it('queues requests, and reports the queue in stats', function () {
+            const source = new BaseUrlAdapter({url: 'https://api.example/{id}', limiter: {max_concurrent: 1}});
+            const results = [1, 2, 3].map((id) => source.getData({id}));
+            return tick()
+                .then(() => {
+                    assert.equal(this.started.length, 1);
+                    assert.deepEqual(source.stats().limiter, {active: 1, queued: 2});
+                    this.started[0].finish();
+                    return tick();
+                })
+                .then(() => {
+                    assert.equal(this.started.length, 2);
+                    this.started.forEach((request) => request.finish());
+                    return tick();
+                })
+                .then(() => {
+                    this.started.forEach((request) => request.finish());
+                    return Promise.all(results);
+                });
+        });
+
+        it('can share limits for each host between adapters', function () {
+            const limiter = new HostLimiter({max_concurrent: 1});
+            const first = new BaseUrlAdapter({url: 'https://a.example/first', limiter});
+            const second = new BaseUrlAdapter({url: 'https://a.example/second', limiter});
+            const other = new BaseUrlAdapter({url: 'https://b.example/other', limiter});
+            const controller = new AbortController();
+            const results = [
+                first.getData(),
+                second.getData({_signal: controller.signal}),
+                other.getData(),
+            ];
+            return tick()
+                .then(() => {
+                    assert.deepEqual(this.started.map(({url}) => url), ['https://a.example/first', 'https://b.example/other']);
+                    controller.abort();
+                    this.started.forEach((request) => request.finish());
+                    return Promise.all(results.map((result) => result.catch((e) => e.name)));
+                })
+                .then((values) => {
+                    assert.deepEqual(values, [[], 'AbortError', []]);
+                    assert.equal(this.started.length, 2, 'Cancelled request was never sent');
+                });
+        });
+    });
+});
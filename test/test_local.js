@@ -0,0 +1,90 @@
+import {assert} from 'chai';
+
+import {DelimitedTextMixin} from '../esm/delimited';
+import {AdapterParseError} from '../esm/errors';
+import {BlobAdapter, StaticAdapter} from '../esm/local';
+import {RegionAdapterMixin} from '../esm/region';
+
+
+describe('Local data adapters', function () {
+    describe('StaticAdapter', function () {
+        it('serves a fixed array of records, without sharing references', function () {
+            const data = [{id: 1}, {id: 2}];
+            const source = new StaticAdapter({data});
+            return source.getData()
+                .then((result) => {
+                    assert.deepEqual(result, data);
+                    result[0].id = 100;
+                    return source.getData();
+                })
+                .then((result) => {
+                    assert.equal(result[0].id, 1, 'Changes to the result do not affect later requests');
+                    assert.equal(data[0].id, 1, 'Original data was not changed');
+                    assert.equal(source.stats().hits, 1, 'Second request was served from cache');
+                });
+        });
+
+        it('computes records for each set of options', function () {
+            let calls = 0;
+            const source = new StaticAdapter({
+                data: (options) => {
+                    calls += 1;
+                    return Promise.resolve([{value: options.start * 2}]);
+                },
+            });
+            return Promise.all([
+                source.getData({start: 1}),
+                source.getData({start: 2}),
+                source.getData({start: 1, _provider_name: 'other'}),
+            ]).then((results) => {
+                assert.deepEqual(results, [[{value: 2}], [{value: 4}], [{value: 2}]]);
+                assert.equal(calls, 2, 'Special options do not affect the cache key');
+            });
+        });
+
+        it('applies annotations and post-processing', function () {
+            class TestStaticAdapter extends RegionAdapterMixin(StaticAdapter) {}
+            const source = new TestStaticAdapter({
+                data: [{chr: '1', start: 1, end: 10}, {chr: '1', start: 50, end: 60}],
+            });
+            return source.getData({chr: '1', start: 5, end: 20})
+                .then((result) => assert.deepEqual(result, [{chr: '1', start: 1, end: 10}]));
+        });
+
+        it('requires data', function () {
+            assert.throws(() => new StaticAdapter({data: {id: 1}}), /array or a function/);
+        });
+    });
+
+    describe('BlobAdapter', function () {
+        it('reads JSON from a file', function () {
+            const blob = new Blob([JSON.stringify([{id: 1}])], {type: 'application/json'});
+            const source = new BlobAdapter({blob});
+            return source.getData()
+                .then((result) => assert.deepEqual(result, [{id: 1}]));
+        });
+
+        it('can read other formats', function () {
+            class UploadedFileAdapter extends DelimitedTextMixin(BlobAdapter) {}
+            const blob = new Blob(['id,pvalue\n1,0.5\n2,NA\n']);
+            const source = new UploadedFileAdapter({blob, delimiter: ',', types: {pvalue: 'number'}});
+            return source.getData()
+                .then((result) => assert.deepEqual(result, [{id: '1', pvalue: 0.5}, {id: '2', pvalue: null}]));
+        });
+
+        it('reports files that cannot be parsed', function () {
+            const source = new BlobAdapter({blob: new Blob(['not json'])});
+            return source.getData({_provider_name: 'upload'})
+                .then(() => assert.fail('Invalid file should reject'))
+                .catch((e) => {
+                    assert.instanceOf(e, AdapterParseError);
+                    assert.equal(e.provider, 'upload');
+                    assert.isNull(e.url);
+                });
+        });
+
+        it('requires a blob', function () {
+            assert.throws(() => new BlobAdapter({blob: 'data.json'}), /Blob or File/);
+        });
+    });
+});
@@ -0,0 +1,161 @@
+import {assert} from 'chai';
+
+import {MemoryStorage, PersistentCache} from '../esm/persistent_cache';
+
+describe('Persistent cache', function () {
+    beforeEach(function () {
+        this.storage = new MemoryStorage();
+    });
+
+    it('stores and retrieves items', function () {
+        const cache = new PersistentCache(this.storage);
+        return cache.add('some_key', [{a: 1}], {chr: '1'})
+            .then(() => cache.has('some_key'))
+            .then((result) => {
+                assert.ok(result, 'Item is found');
+                return cache.get('some_key');
+            })
+            .then((value) => {
+                assert.deepEqual(value, [{a: 1}]);
+                return cache.has('never_there');
+            })
+            .then((result) => {
+                assert.notOk(result, 'Unknown items are not found');
+                return cache.get('never_there');
+            })
+            .then((value) => assert.isNull(value));
+    });
+
+    it('survives being re-created with the same storage', function () {
+        return new PersistentCache(this.storage).add('some_key', 'some value')
+            .then(() => new PersistentCache(this.storage).get('some_key'))
+            .then((value) => assert.equal(value, 'some value'));
+    });
+
+    it('waits for promises to resolve, and does not store rejections', function () {
+        const cache = new PersistentCache(this.storage);
+        return Promise.all([
+            cache.add('good', Promise.resolve(12)),
+            cache.add('bad', Promise.reject(new Error('Failed request'))),
+        ]).then(() => Promise.all([cache.get('good'), cache.has('bad')]))
+            .then(([good, has_bad]) => {
+                assert.equal(good, 12);
+                assert.notOk(has_bad);
+            });
+    });
+
+    it('keeps items from different namespaces separate', function () {
+        const first = new PersistentCache(this.storage, {namespace: 'first:'});
+        const second = new PersistentCache(this.storage, {namespace: 'second:'});
+        return Promise.all([first.add('some_key', 1), second.add('some_key', 2)])
+            .then(() => first.clear())
+            .then(() => Promise.all([first.has('some_key'), second.get('some_key')]))
+            .then(([first_has, second_value]) => {
+                assert.notOk(first_has, 'Clearing one cache removes its items');
+                assert.equal(second_value, 2, 'Clearing one cache does not affect others');
+            });
+    });
+
+    it('can remove an item by key name', function () {
+        const cache = new PersistentCache(this.storage);
+        return cache.add('some_key', 12)
+            .then(() => cache.remove('some_key'))
+            .then((result) => {
+                assert.ok(result, 'Removing a known item returns true');
+                return cache.remove('never_there');
+            })
+            .then((result) => {
+                assert.notOk(result, 'Removing unknown item returns false');
+                assert.equal(this.storage.length, 0);
+            });
+    });
+
+    it('restricts max size by evicting the oldest items', function () {
+        const cache = new PersistentCache(this.storage, {max_size: 2});
+        return ['a', 'b', 'c'].reduce((prev, key, index) => prev.then(() => cache.add(key, index)), Promise.resolve())
+            .then(() => Promise.all(['a', 'b', 'c'].map((key) => cache.has(key))))
+            .then((result) => assert.deepEqual(result, [false, true, true]));
+    });
+
+    it('does not read every entry to make room for a new one', function () {
+        const cache = new PersistentCache(this.storage, {max_size: 2});
+        const reads = [];
+        const getItem = this.storage.getItem.bind(this.storage);
+        this.storage.getItem = (key) => {
+            reads.push(key);
+            return getItem(key);
+        };
+        return cache.add('a', 1)
+            .then(() => {
+                reads.length = 0;
+                return ['b', 'c', 'd'].reduce((prev, key) => prev.then(() => cache.add(key, key)), Promise.resolve());
+            })
+            .then(() => {
+                assert.notOk(reads.some((key) => key.endsWith('a') || key.endsWith('b')), 'Stored entries were not read');
+                return Promise.all(['a', 'b', 'c', 'd'].map((key) => cache.has(key)));
+            })
+            .then((result) => assert.deepEqual(result, [false, false, true, true]));
+    });
+
+    it('rebuilds the index if it is missing', function () {
+        return new PersistentCache(this.storage).add('a', 1)
+            .then(() => {
+                // Eg data stored before the index existed
+                this.storage.removeItem('undercomplicate:\u0000index');
+                return new PersistentCache(this.storage, {max_size: 1}).add('b', 2);
+            })
+            .then(() => {
+                assert.isNull(this.storage.getItem('undercomplicate:a'), 'The oldest entry was found and removed');
+                assert.ok(this.storage.getItem('undercomplicate:b'));
+            });
+    });
+
+    it('reports (rather than throws) failures to store items', function () {
+        this.storage.setItem = () => {
+            throw new Error('QuotaExceededError');
+        };
+        const cache = new PersistentCache(this.storage);
+        return cache.add('some_key', [{a: 1}])
+            .then((stored) => {
+                assert.isFalse(stored);
+                return cache.has('some_key');
+            })
+            .then((result) => assert.notOk(result));
+    });
+
+    it('can search for an item', function () {
+        const cache = new PersistentCache(this.storage);
+        return cache.add('akey', 12, {chr: '2', start: 15, end: 30})
+            .then(() => cache.find(({metadata}) => metadata.chr === '2' && 16 >= metadata.start && 18 <= metadata.end))
+            .then((found) => {
+                assert.equal(found.key, 'akey');
+                assert.equal(found.value, 12);
+                return cache.find(({value}) => value > 100);
+            })
+            .then((found) => assert.isNull(found, 'Return null when no match found'));
+    });
+
+    it('ignores expired items', function () {
+        const cache = new PersistentCache(this.storage, {ttl: 0});
+        return Promise.all([cache.add('a', 1), cache.add('b', 2, {ttl: 60000})])
+            .then(() => Promise.all([
+                cache.has('a'),
+                cache.get('a', {allow_stale: true}),
+                cache.isStale('a'),
+                cache.has('b'),
+                cache.find(({key}) => key === 'a'),
+            ]))
+            .then(([has_a, stale_a, is_stale, has_b, found]) => {
+                assert.notOk(has_a, 'Stale items are not normally considered a hit');
+                assert.equal(stale_a, 1, 'Stale value can be retrieved');
+                assert.ok(is_stale);
+                assert.ok(has_b, 'Item with its own TTL is still fresh');
+                assert.isNull(found, 'Search ignores stale items');
+            });
+    });
+
+    it('validates options', function () {
+        assert.throws(() => new PersistentCache(), /must be given a storage/);
+        assert.throws(() => new PersistentCache(this.storage, {max_size: -1}), /must be >= 0/);
+    });
+});
@@ -0,0 +1,109 @@
+import {assert} from 'chai';
+
+import {BaseAdapter, BaseUrlAdapter} from '../esm/adapter';
+import {RegionAdapterMixin} from '../esm/region';
+
+
+class TestRegionAdapter extends RegionAdapterMixin(BaseAdapter) {
+    constructor(config) {
+        super(Object.assign({region_fields: {chr: 'chromosome', start: 'position', end: 'position'}}, config));
+        this.requests = [];
+    }
+
+    _performRequest(options) {
+        this.requests.push([options.chr, options.start, options.end]);
+        const records = [];
+        // One record at every multiple of 10 in the region
+        for (let position = Math.ceil(options.start / 10) * 10; position <= options.end; position += 10) {
+            records.push({chromosome: options.chr, position});
+        }
+        return Promise.resolve(records);
+    }
+}
+
+describe('RegionAdapterMixin', function () {
+    it('filters records to the requested region', function () {
+        class TestExtraRecords extends TestRegionAdapter {
+            _performRequest(options) {
+                return Promise.resolve([
+                    {chromosome: '1', position: 5},
+                    {chromosome: '1', position: 15},
+                    {chromosome: '2', position: 15},
+                ]);
+            }
+        }
+        const source = new TestExtraRecords();
+        return source.getData({chr: '1', start: 10, end: 20})
+            .then((result) => assert.deepEqual(result, [{chromosome: '1', position: 15}]));
+    });
+
+    it('satisfies a request for a region contained within a cached region', function () {
+        const source = new TestRegionAdapter();
+        return source.getData({chr: '1', start: 100, end: 200})
+            .then(() => source.getData({chr: '1', start: 150, end: 170}))
+            .then((result) => {
+                assert.deepEqual(result.map((record) => record.position), [150, 160, 170], 'Cached records are filtered to the requested region');
+                assert.deepEqual(source.requests, [['1', 100, 200]], 'Only one request was made');
+            });
+    });
+
+    it('makes a new request for regions that are not entirely cached', function () {
+        const source = new TestRegionAdapter();
+        return source.getData({chr: '1', start: 100, end: 200})
+            .then(() => source.getData({chr: '1', start: 150, end: 250}))
+            .then(() => source.getData({chr: '2', start: 150, end: 170}))
+            .then(() => {
+                assert.deepEqual(source.requests, [['1', 100, 200], ['1', 150, 250], ['2', 150, 170]]);
+                assert.deepEqual(source._cache._head.metadata, {chr: '2', start: 150, end: 170, scope: '[]'}, 'Region is recorded in cache metadata');
+            });
+    });
+
+    it('gives the same result for a region, whether or not it was cached', function () {
+        const cached = new TestRegionAdapter();
+        const fresh = new TestRegionAdapter();
+        return cached.getData({chr: '1', start: 95, end: 205})
+            .then(() => Promise.all([
+                cached.getData({chr: '1', start: 100, end: 200}),
+                fresh.getData({chr: '1', start: 100, end: 200}),
+            ]))
+            .then(([from_cache, from_request]) => assert.deepEqual(from_cache, from_request));
+    });
+
+    it('only uses cached regions with the same scope', function () {
+        class TestScopedAdapter extends TestRegionAdapter {
+            _getCacheScope(options) {
+                return `${options.build}/`;
+            }
+        }
+        const source = new TestScopedAdapter();
+        return source.getData({build: 'GRCh37', chr: '1', start: 100, end: 200})
+            .then(() => source.getData({build: 'GRCh38', chr: '1', start: 150, end: 170}))
+            .then(() => assert.equal(source.requests.length, 2));
+    });
+
+    it('by default, only uses cached regions requested with the same options', function () {
+        class TestUrlRegionAdapter extends RegionAdapterMixin(BaseUrlAdapter) {}
+        const fetch_calls = [];
+        const source = new TestUrlRegionAdapter({
+            url: 'https://api.example/{build}/assoc',
+            query_params: {chr: '{chr}', start: '{start}', end: '{end}'},
+            region_fields: {chr: 'chromosome', start: 'position', end: 'position'},
+            fetch: (url) => {
+                fetch_calls.push(url);
+                return Promise.resolve(new Response('[{"chromosome": "1", "position": 160}]'));
+            },
+        });
+        return source.getData({build: 'GRCh37', chr: '1', start: 100, end: 200})
+            .then(() => source.getData({build: 'GRCh38', chr: '1', start: 150, end: 170}))
+            .then(() => source.getData({build: 'GRCh37', chr: '1', start: 150, end: 170}))
+            .then(() => assert.deepEqual(fetch_calls, [
+                'https://api.example/GRCh37/assoc?chr=1&start=100&end=200',
+                'https://api.example/GRCh38/assoc?chr=1&start=150&end=170',
+            ]));
+    });
+
+    it('requires a region', function () {
+        const source = new TestRegionAdapter();
+        assert.throws(() => source.getData({chr: '1'}), /require the options/);
+    });
+});
@@ -1,6 +1,7 @@
 import {assert} from 'chai';
 
-import {_parse_declaration, getLinkedData} from '../esm/requests';
+import {AbortError, AdapterError, DependencyError} from '../esm/errors';
+import {_parse_declaration, _parse_spec, getLinkedData} from '../esm/requests';
 
 
 class SequenceFixture {
@@ -26,10 +27,52 @@ describe('Request helpers', function () {
         });
 
         it('rejects invalid syntax', function () {
-            assert.throws(() => _parse_declaration('dependency.name'), /Unable to parse/);
+            assert.throws(() => _parse_declaration('dependency.name'), DependencyError, /Unable to parse/);
 
             assert.throws(() => _parse_declaration('one_dep another_thing'), /Unable to parse/);
         });
+
+        it('parses aliases, optional dependencies, and options', function () {
+            assert.deepEqual(_parse_spec('assoc2=assoc'), {name: 'assoc2', source: 'assoc', dependencies: [], options: {}});
+            assert.deepEqual(_parse_spec(' ld ( assoc? , genes ) '), {
+                name: 'ld',
+                source: 'ld',
+                dependencies: [{name: 'assoc', optional: true}, {name: 'genes', optional: false}],
+                options: {},
+            });
+            assert.deepEqual(
+                _parse_spec(`ld2=ld(assoc2; build=GRCh37, limit=10, region="1:100-200", strict=false, population='EUR')`),
+                {
+                    name: 'ld2',
+                    source: 'ld',
+                    dependencies: [{name: 'assoc2', optional: false}],
+                    options: {build: 'GRCh37', limit: 10, region: '1:100-200', strict: false, population: 'EUR'},
+                },
+            );
+            assert.deepEqual(_parse_spec('assoc2=assoc(; build=GRCh37)').options, {build: 'GRCh37'});
+            assert.deepEqual(_parse_spec('assoc2=assoc(build=GRCh37)').options, {build: 'GRCh37'});
+        });
+
+        it('reports where syntax errors were found', function () {
+            const check = (spec, pattern, position) => {
+                try {
+                    _parse_spec(spec);
+                } catch (e) {
+                    assert.instanceOf(e, DependencyError);
+                    assert.match(e.message, pattern);
+                    assert.equal(e.position, position, `Position of error in "${spec}"`);
+                    assert.equal(e.spec, spec);
+                    return;
+                }
+                assert.fail(`Invalid spec should be rejected: ${spec}`);
+            };
+            check('ld(assoc', /expected "," or "\)" at position 8/, 8);
+            check('ld(assoc,)', /expected a name at position 9/, 9);
+            check('ld(build=37, assoc)', /expected an option \(name=value\)/, 18);
+            check('=assoc', /expected a name at position 0/, 0);
+            check('ld(assoc) extra', /unexpected text at position 10/, 10);
+            check('ld(; region="1:100)', /unterminated string/, 12);
+        });
     });
 
     describe('getLinkedData', function () {
@@ -57,16 +100,274 @@ describe('Request helpers', function () {
                 .then((result) => assert.deepEqual(result, [1, 2, 4, 5]));
         });
 
+        it('can return results by provider name', function () {
+            const entities = new Map();
+            const dependencies = ['a', 'b(a)', 'c(a,b)', 'd(c)'];
+            const shared_state = new SequenceFixture();
+            ['a', 'b', 'c', 'd']
+                .forEach((key) => entities.set(key, shared_state));
+
+            return getLinkedData({}, entities, dependencies, false, {named: true})
+                .then((result) => {
+                    assert.instanceOf(result, Map);
+                    assert.deepEqual([...result.entries()], [['a', 1], ['b', 2], ['c', 4], ['d', 5]]);
+                    return getLinkedData({}, entities, dependencies, false, {named: true, outputs: ['d', 'b']});
+                })
+                .then((result) => assert.deepEqual([...result.entries()], [['d', 5], ['b', 2]], 'Can choose which results to return'));
+        });
+
+        it('can choose which results to return', function () {
+            const entities = new Map();
+            const dependencies = ['a', 'b(a)', 'c(a,b)', 'd(c)'];
+            const shared_state = new SequenceFixture();
+            ['a', 'b', 'c', 'd']
+                .forEach((key) => entities.set(key, shared_state));
+
+            return getLinkedData({}, entities, dependencies, true, {outputs: ['c']})
+                .then((result) => {
+                    assert.equal(result, 4, 'Consolidates to the requested output');
+                    return getLinkedData({}, entities, dependencies, false, {outputs: ['d', 'a']});
+                })
+                .then((result) => assert.deepEqual(result, [5, 1], 'Returns outputs in the order requested'));
+        });
+
+        it('will not guess which result to consolidate', function () {
+            const entities = new Map();
+            const shared_state = new SequenceFixture();
+            ['a', 'b', 'c'].forEach((key) => entities.set(key, shared_state));
+
+            assert.throws(
+                () => getLinkedData({}, entities, ['a', 'b(a)', 'c(a)']),
+                DependencyError,
+                /several sources are not used by any other \(b, c\)/,
+            );
+            assert.throws(
+                () => getLinkedData({}, entities, ['a', 'b(a)', 'c(a)'], true, {outputs: ['b', 'c']}),
+                /exactly one output/,
+            );
+            assert.throws(
+                () => getLinkedData({}, entities, ['a', 'b(a)'], true, {outputs: ['c']}),
+                /not in the dependency specification: c/,
+            );
+            return getLinkedData({}, entities, ['a', 'b(a)', 'c(a)'], true, {outputs: ['b']})
+                .then((result) => assert.equal(result, 2));
+        });
+
+        it('can return partial results when some requests fail', function () {
+            class FailingProvider {
+                getData(options) {
+                    return Promise.reject(new AdapterError('Annotation source is down'));
+                }
+            }
+            const entities = new Map([
+                ['assoc', new SequenceFixture()],
+                ['annotation', new FailingProvider()],
+                ['ld', new SequenceFixture()],
+                ['joined', new SequenceFixture()],
+            ]);
+            const dependencies = ['assoc', 'annotation', 'ld(assoc)', 'joined(ld, annotation)'];
+            return getLinkedData({}, entities, dependencies, true, {partial: true})
+                .then((result) => {
+                    assert.instanceOf(result, Map);
+                    assert.deepEqual(result.get('assoc'), {status: 'fulfilled', value: 1});
+                    assert.deepEqual(result.get('ld'), {status: 'fulfilled', value: 2}, 'Independent branches succeed');
+
+                    const failed = result.get('annotation');
+                    assert.equal(failed.status, 'rejected');
+                    assert.equal(failed.reason.provider, 'annotation');
+
+                    const skipped = result.get('joined');
+                    assert.equal(skipped.status, 'skipped', 'Requests that depend on a failure are not attempted');
+                    assert.instanceOf(skipped.reason, DependencyError);
+                    assert.match(skipped.reason.message, /depends on a failed request: annotation/);
+                });
+        });
+
+        it('reports providers that throw instead of returning a promise as failed requests', function () {
+            class ThrowingProvider {
+                getData(options) {
+                    throw new AdapterError('Missing value for URL parameter "chr"');
+                }
+            }
+            const entities = new Map([['assoc', new SequenceFixture()], ['annotation', new ThrowingProvider()]]);
+            return getLinkedData({}, entities, ['assoc', 'annotation'], true, {partial: true})
+                .then((result) => {
+                    assert.deepEqual(result.get('assoc'), {status: 'fulfilled', value: 1});
+                    const failed = result.get('annotation');
+                    assert.equal(failed.status, 'rejected');
+                    assert.instanceOf(failed.reason, AdapterError);
+                    assert.equal(failed.reason.provider, 'annotation', 'The error is labeled with the provider name');
+                });
+        });
+
+        it('can use one provider several times, with different options', function () {
+            const calls = [];
+            class OptionsFixture {
+                getData(options, ...prior) {
+                    calls.push(options);
+                    return `${options._provider_name}:${options.build}${prior.length ? `(${prior.join(',')})` : ''}`;
+                }
+            }
+            const entities = new Map([['assoc', new OptionsFixture()], ['compare', new OptionsFixture()]]);
+            const dependencies = ['assoc', 'assoc2=assoc(; build=GRCh37)', 'compare(assoc, assoc2)'];
+            return getLinkedData({build: 'GRCh38'}, entities, dependencies)
+                .then((result) => {
+                    assert.equal(result, 'compare:GRCh38(assoc:GRCh38,assoc2:GRCh37)');
+                    assert.equal(calls.length, 3);
+                });
+        });
+
+        it('rejects specifications that declare the same name twice', function () {
+            assert.throws(
+                () => getLinkedData({}, new Map([['a', new SequenceFixture()]]), ['a', 'b(a)', 'a']),
+                DependencyError,
+                /declared more than once/,
+            );
+        });
+
+        it('tolerates failures of optional dependencies', function () {
+            class FailingProvider {
+                getData(options) {
+                    return Promise.reject(new AdapterError('Something went wrong'));
+                }
+            }
+            class PriorFixture {
+                getData(options, ...prior) {
+                    return prior;
+                }
+            }
+            const entities = new Map([['a', new FailingProvider()], ['b', new SequenceFixture()], ['c', new PriorFixture()]]);
+            return getLinkedData({}, entities, ['a', 'b', 'c(a?, b, missing?)'], true, {named: true})
+                .then((result) => {
+                    assert.deepEqual(result.get('c'), [null, 1, null]);
+                    assert.isNull(result.get('a'), 'Failed optional dependency has no result');
+                    return getLinkedData({}, entities, ['a', 'b', 'c(a?, b)', 'd=c(a)'], true, {named: true});
+                })
+                .then(() => assert.fail('A failed request that is not optional for everyone should reject'))
+                .catch((e) => {
+                    assert.instanceOf(e, AdapterError);
+                    return getLinkedData({}, entities, ['a', 'b', 'c(a?, b)', 'd=c(a)'], true, {partial: true});
+                })
+                .then((result) => {
+                    assert.equal(result.get('a').status, 'rejected');
+                    assert.deepEqual(result.get('c'), {status: 'fulfilled', value: [null, 1]});
+                    assert.equal(result.get('d').status, 'skipped');
+                });
+        });
+
+        it('can join the results of other requests', function () {
+            class RecordsFixture {
+                constructor(records) {
+                    this._records = records;
+                }
+
+                getData(options) {
+                    return Promise.resolve(this._records);
+                }
+            }
+            const entities = new Map([
+                ['assoc', new RecordsFixture([{variant: '1:1', pvalue: 0.1}, {variant: '1:2', pvalue: 0.2}])],
+                ['catalog', new RecordsFixture([{variant: '1:2', trait: 'height'}, {variant: '1:3', trait: 'BMI'}])],
+                ['genes', new RecordsFixture([{gene_variant: '1:1', gene: 'ABC'}])],
+            ]);
+            const dependencies = [
+                'assoc', 'catalog', 'genes',
+                'assoc_catalog=left_join(assoc, catalog; on=variant)',
+                'both=inner_join(assoc, catalog; on=variant)',
+                'everything=full_outer_join(assoc_catalog, genes; left_on=variant, right_on=gene_variant)',
+            ];
+            return getLinkedData({}, entities, dependencies, true, {named: true})
+                .then((result) => {
+                    assert.deepEqual(result.get('assoc_catalog'), [
+                        {variant: '1:1', pvalue: 0.1},
+                        {variant: '1:2', pvalue: 0.2, trait: 'height'},
+                    ]);
+                    assert.deepEqual(result.get('both'), [{variant: '1:2', pvalue: 0.2, trait: 'height'}]);
+                    assert.deepEqual(result.get('everything'), [
+                        {variant: '1:1', pvalue: 0.1, gene_variant: '1:1', gene: 'ABC'},
+                        {variant: '1:2', pvalue: 0.2, trait: 'height'},
+                    ]);
+                });
+        });
+
+        it('can join on composite keys and label fields by request', function () {
+            const entities = new Map([
+                ['assoc', {getData: () => [{chrom: '1', pos: 2, pvalue: 0.2}, {chrom: '2', pos: 2, pvalue: 0.5}]}],
+                ['catalog', {getData: () => [{chrom: '2', pos: 2, pvalue: 1e-8}]}],
+            ]);
+            const dependencies = [
+                'assoc', 'catalog',
+                'joined=inner_join(assoc, catalog; on=chrom+pos, collisions=prefix, source_field=side)',
+            ];
+            return getLinkedData({}, entities, dependencies)
+                .then((result) => assert.deepEqual(result, [{
+                    'assoc:chrom': '2', 'assoc:pos': 2, 'assoc:pvalue': 0.5,
+                    'catalog:chrom': '2', 'catalog:pos': 2, 'catalog:pvalue': 1e-8,
+                    side: 'both',
+                }]));
+        });
+
+        it('can nest matches and filter by them', function () {
+            const entities = new Map([
+                ['assoc', {getData: () => [{variant: '1:1'}, {variant: '1:2'}]}],
+                ['catalog', {getData: () => [{variant: '1:2', trait: 'height'}, {variant: '1:2', trait: 'BMI'}]}],
+            ]);
+            const dependencies = [
+                'assoc', 'catalog',
+                'nested=nest_join(assoc, catalog; on=variant, aggregate=count)',
+                'novel=anti_join(assoc, catalog; on=variant)',
+            ];
+            return getLinkedData({}, entities, dependencies, true, {named: true})
+                .then((result) => {
+                    assert.deepEqual(result.get('nested'), [{variant: '1:1', catalog: 0}, {variant: '1:2', catalog: 2}]);
+                    assert.deepEqual(result.get('novel'), [{variant: '1:1'}]);
+                });
+        });
+
+        it('validates join specifications', function () {
+            const entities = new Map([['a', new SequenceFixture()], ['b', new SequenceFixture()]]);
+            assert.throws(
+                () => getLinkedData({}, entities, ['a', 'j=left_join(a; on=id)']),
+                /must depend on exactly two sources/,
+            );
+            assert.throws(
+                () => getLinkedData({}, entities, ['a', 'b', 'j=inner_join(a, b)']),
+                /must specify which fields to match/,
+            );
+
+            // A source with the same name as a join is used instead
+            entities.set('left_join', new SequenceFixture());
+            return getLinkedData({}, entities, ['a', 'left_join(a)'])
+                .then((result) => assert.equal(result, 2));
+        });
+
         it('warns if spec references a non-existent provider', function () {
             assert.throws(
                 () => getLinkedData({}, new Map(), ['a']),
+                DependencyError,
                 /no matching source was provided/,
             );
         });
 
+        it('labels adapter errors with the name of the provider that failed', function () {
+            class FailingProvider {
+                getData(options) {
+                    return Promise.reject(new AdapterError('Something went wrong'));
+                }
+            }
+            const entities = new Map([['a', new FailingProvider()], ['b', new SequenceFixture()]]);
+            return getLinkedData({}, entities, ['a', 'b(a)'])
+                .then(() => assert.fail('Failed request should reject'))
+                .catch((e) => {
+                    assert.instanceOf(e, AdapterError);
+                    assert.equal(e.provider, 'a', 'Error is labeled with the original source, not a dependent');
+                });
+        });
+
         it('warns if circular dependencies were declared', function () {
             assert.throws(
                 () => getLinkedData({}, new Map(), ['a(b)', 'b(a)']),
+                DependencyError,
                 /circular dependency/,
             );
 
@@ -75,5 +376,42 @@ describe('Request helpers', function () {
                 /circular dependency/,
             );
         });
+
+        it('can cancel all pending requests', function () {
+            const calls = [];
+            let finish_first;
+            class SlowSequence {
+                getData(options) {
+                    calls.push(options);
+                    // Only the first request can finish, and only when the test says so
+                    return new Promise((resolve) => {
+                        if (!finish_first) {
+                            finish_first = resolve;
+                        }
+                    });
+                }
+            }
+            const entities = new Map();
+            const shared_state = new SlowSequence();
+            ['a', 'b'].forEach((key) => entities.set(key, shared_state));
+
+            const controller = new AbortController();
+            const result = getLinkedData({}, entities, ['a', 'b(a)'], true, {signal: controller.signal});
+            // Wait for the first request to start, then cancel everything before it finishes
+            return new Promise((resolve) => setTimeout(resolve, 0))
+                .then(() => {
+                    controller.abort();
+                    finish_first(1);
+                    return result;
+                })
+                .then(() => assert.fail('Cancelled request should reject'))
+                .catch((e) => {
+                    assert.instanceOf(e, AbortError, 'Rejects with a recognizable error type');
+                    assert.equal(calls[0]._signal, controller.signal, 'Signal is passed to each provider');
+                    // Give the dependent request a chance to (incorrectly) start
+                    return new Promise((resolve) => setTimeout(resolve, 0));
+                })
+                .then(() => assert.equal(calls.length, 1, 'Requests waiting on dependencies are never started'));
+        });
     });
 });
@@ -0,0 +1,212 @@
+import {assert} from 'chai';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+
+import {TabixAdapter, regionToBins} from '../esm/tabix';
+import {AdapterParseError} from '../esm/errors';
+
+
+// A small file of variants on chromosomes 1 and 2, compressed as many small BGZF blocks, with a tabix index
+const DATA_FILE = path.join(__dirname, 'fixtures', 'variants.tsv.gz');
+const DATA_URL = 'https://somewhere.example/variants.tsv.gz';
+
+/**
+ * Serve local files in place of `fetch`, with support for Range requests
+ */
+function fileFetch(requests, {ranges = true} = {}) {
+    return (url, init = {}) => {
+        const file = url.replace('https://somewhere.example/', '');
+        let bytes;
+        try {
+            bytes = fs.readFileSync(path.join(__dirname, 'fixtures', file));
+        } catch (e) {
+            return Promise.resolve(new Response('Not found', {status: 404}));
+        }
+        const range = init.headers && init.headers.Range;
+        requests.push({url, range});
+        if (!range || !ranges) {
+            return Promise.resolve(new Response(bytes, {status: 200}));
+        }
+        const [, start, end] = range.match(/^bytes=(\d+)-(\d*)$/);
+        const part = bytes.subarray(Number(start), end ? Number(end) + 1 : bytes.length);
+        return Promise.resolve(new Response(part, {status: 206}));
+    };
+}
+
+/**
+ * Find the expected result by reading the entire file
+ */
+function expectedRecords(chr, start, end) {
+    return zlib.gunzipSync(fs.readFileSync(DATA_FILE)).toString()
+        .split('\n')
+        .filter((line) => line && !line.startsWith('#'))
+        .map((line) => line.split('\t'))
+        .filter(([chrom, pos]) => chrom === chr && +pos >= start && +pos <= end)
+        .map(([chrom, pos, ref, alt, pvalue]) => ({chrom, pos: +pos, ref, alt, pvalue: +pvalue}));
+}
+
+describe('TabixAdapter', function () {
+    beforeEach(function () {
+        this.original_fetch = global.fetch;
+        this.requests = [];
+        global.fetch = fileFetch(this.requests);
+    });
+
+    afterEach(function () {
+        global.fetch = this.original_fetch;
+    });
+
+    it('lists the bins that can contain a region', function () {
+        assert.deepEqual(regionToBins(0, 1), [0, 1, 9, 73, 585, 4681]);
+        assert.deepEqual(regionToBins(16383, 16385), [0, 1, 9, 73, 585, 4681, 4682]);
+    });
+
+    it('reads the records that overlap a region', function () {
+        const source = new TabixAdapter({url: DATA_URL, types: {pos: 'int', pvalue: 'number'}});
+        const regions = [
+            ['1', 50000, 60000],
+            ['1', 1, 150],
+            ['1', 390000, 500000],
+            ['2', 12000, 90000],
+            ['2', 100, 2603],
+        ];
+        return Promise.all(regions.map(([chr, start, end]) => source.getData({chr, start, end})))
+            .then((results) => {
+                results.forEach((result, i) => {
+                    const expected = expectedRecords(...regions[i]);
+                    assert.ok(expected.length, 'Test region contains data');
+                    assert.deepEqual(result, expected, `Region ${regions[i].join(':')} has correct records`);
+                });
+            });
+    });
+
+    it('returns no records for regions without data', function () {
+        const source = new TabixAdapter({url: DATA_URL});
+        return Promise.all([
+            source.getData({chr: '1', start: 500000, end: 600000}),
+            source.getData({chr: 'X', start: 1, end: 100000}),
+        ]).then((results) => assert.deepEqual(results, [[], []]));
+    });
+
+    it('only downloads the index and the parts of the file needed', function () {
+        const source = new TabixAdapter({url: DATA_URL});
+        return source.getData({chr: '1', start: 100000, end: 110000})
+            .then(() => source.getData({chr: '1', start: 200000, end: 210000}))
+            .then((result) => {
+                assert.equal(result.length, expectedRecords('1', 200000, 210000).length);
+                const index_requests = this.requests.filter(({url}) => url.endsWith('.tbi'));
+                assert.equal(index_requests.length, 1, 'Index is only read once');
+
+                // The header is read from the start of the file (once). Data is read from the middle of the file.
+                const data_starts = this.requests
+                    .filter(({url}) => url === DATA_URL)
+                    .map(({range}) => +range.match(/^bytes=(\d+)-\d+$/)[1]);
+                assert.equal(data_starts.length, 3);
+                assert.equal(data_starts.filter((start) => start === 0).length, 1, 'Header was read once, and data was read from the middle of the file');
+            });
+    });
+
+    it('reads a separate index and header for each file in a URL template', function () {
+        // Serve the same file as if there were one for each chromosome
+        const requests = [];
+        const file_fetch = fileFetch([]);
+        global.fetch = (url, init) => {
+            requests.push({url, range: init.headers.Range});
+            return file_fetch(url.replace(/\/chr\d+\//, '/'), init);
+        };
+        const source = new TabixAdapter({
+            url: 'https://somewhere.example/chr{chr}/variants.tsv.gz',
+            types: {pos: 'int', pvalue: 'number'},
+        });
+        return Promise.all([
+            source.getData({chr: '1', start: 50000, end: 60000}),
+            source.getData({chr: '2', start: 12000, end: 90000}),
+        ])
+            .then(([first, second]) => {
+                assert.deepEqual(first, expectedRecords('1', 50000, 60000));
+                assert.deepEqual(second, expectedRecords('2', 12000, 90000));
+                return source.getData({chr: '1', start: 100000, end: 110000});
+            })
+            .then((result) => {
+                assert.deepEqual(result, expectedRecords('1', 100000, 110000));
+                assert.deepEqual(
+                    requests.filter(({url}) => url.endsWith('.tbi')).map(({url}) => url).sort(),
+                    ['https://somewhere.example/chr1/variants.tsv.gz.tbi', 'https://somewhere.example/chr2/variants.tsv.gz.tbi'],
+                    'Each index is read once',
+                );
+                assert.deepEqual(
+                    requests.filter(({url, range}) => !url.endsWith('.tbi') && range.startsWith('bytes=0-'))
+                        .map(({url}) => url)
+                        .sort(),
+                    ['https://somewhere.example/chr1/variants.tsv.gz', 'https://somewhere.example/chr2/variants.tsv.gz'],
+                    'Each header is read once',
+                );
+            });
+    });
+
+    it('works with servers that ignore the Range header', function () {
+        global.fetch = fileFetch(this.requests, {ranges: false});
+        const source = new TabixAdapter({url: DATA_URL, types: {pos: 'int', pvalue: 'number'}});
+        return source.getData({chr: '2', start: 12000, end: 90000})
+            .then((result) => assert.deepEqual(result, expectedRecords('2', 12000, 90000)));
+    });
+
+    it('can use column names and decompression provided by the caller', function () {
+        let inflate_calls = 0;
+        const source = new TabixAdapter({
+            url: DATA_URL,
+            has_header: false,
+            columns: ['chromosome', 'position', 'ref_allele', 'alt_allele', 'p'],
+            inflate: (bytes) => {
+                inflate_calls += 1;
+                return zlib.inflateRawSync(bytes);
+            },
+        });
+        return source.getData({chr: '1', start: 1, end: 150})
+            .then((result) => {
+                assert.deepEqual(Object.keys(result[0]), ['chromosome', 'position', 'ref_allele', 'alt_allele', 'p']);
+                assert.equal(result[0].position, '100');
+                assert.ok(inflate_calls > 0, 'Custom decompression was used');
+            });
+    });
+
+    it('does not let one cancelled request stop others that share the index', function () {
+        const file_fetch = global.fetch;
+        // Responses arrive later, unless the request is cancelled first
+        global.fetch = (url, init = {}) => new Promise((resolve, reject) => {
+            if (init.signal) {
+                init.signal.addEventListener('abort', () => reject(new Error('Aborted')));
+            }
+            setTimeout(() => resolve(file_fetch(url, init)), 5);
+        });
+        const source = new TabixAdapter({url: DATA_URL, types: {pos: 'int', pvalue: 'number'}});
+        const controller = new AbortController();
+        const cancelled = source.getData({chr: '1', start: 1, end: 150, _signal: controller.signal});
+        const other = source.getData({chr: '2', start: 100, end: 2603});
+        controller.abort();
+        return cancelled
+            .then(() => assert.fail('Cancelled request should reject'))
+            .catch((e) => {
+                assert.equal(e.name, 'AbortError');
+                return other;
+            })
+            .then((result) => assert.deepEqual(result, expectedRecords('2', 100, 2603)));
+    });
+
+    it('requires a region', function () {
+        const source = new TabixAdapter({url: DATA_URL});
+        assert.throws(() => source.getData({chr: '1'}), /require the options "chr", "start", and "end"/);
+    });
+
+    it('reports files that cannot be read', function () {
+        const source = new TabixAdapter({url: DATA_URL, index_url: 'https://somewhere.example/variants.tsv.gz'});
+        return source.getData({chr: '1', start: 1, end: 150, _provider_name: 'assoc'})
+            .then(() => assert.fail('Invalid index should reject'))
+            .catch((e) => {
+                assert.instanceOf(e, AdapterParseError);
+                assert.match(e.message, /Unable to read tabix index: Not a tabix index/);
+                assert.equal(e.provider, 'assoc');
+            });
+    });
+});